@@ -1,13 +1,16 @@
 import { Routes, Route } from 'react-router-dom'
 import { ToastContainer } from 'react-toastify'
 import S3Manager from '@/components/pages/S3Manager'
+import VaultGate from '@/components/organisms/VaultGate'
 
 function App() {
   return (
     <div className="min-h-screen bg-gradient-to-br from-aws-gray via-white to-gray-50">
-      <Routes>
-        <Route path="/" element={<S3Manager />} />
-      </Routes>
+      <VaultGate>
+        <Routes>
+          <Route path="/" element={<S3Manager />} />
+        </Routes>
+      </VaultGate>
       
       <ToastContainer
         position="top-right"
@@ -0,0 +1,53 @@
+import ApperIcon from '@/components/ApperIcon'
+import Button from '@/components/atoms/Button'
+
+const statusStyles = {
+  passed: { icon: 'CheckCircle', color: 'text-success' },
+  warning: { icon: 'AlertTriangle', color: 'text-warning' },
+  failed: { icon: 'XCircle', color: 'text-error' }
+}
+
+// Result of bucketConfigService.testConnection: overall verdict plus one row per S3 call
+const ConnectionDiagnostics = ({ result, onUseRegion, className = "" }) => {
+  if (!result) return null
+
+  return (
+    <div className={`rounded-lg border p-4 space-y-3 ${result.success ? 'border-success/30 bg-success/5' : 'border-error/30 bg-error/5'} ${className}`}>
+      <div className="flex items-start gap-2">
+        <ApperIcon
+          name={result.success ? 'CheckCircle' : 'AlertCircle'}
+          className={`w-5 h-5 flex-shrink-0 ${result.success ? 'text-success' : 'text-error'}`}
+        />
+        <p className="text-sm font-medium text-gray-900">{result.message}</p>
+      </div>
+
+      <ul className="space-y-2">
+        {result.checks.map(check => {
+          const style = statusStyles[check.status]
+          return (
+            <li key={check.operation} className="flex items-start gap-2 text-sm">
+              <ApperIcon name={style.icon} className={`w-4 h-4 mt-0.5 flex-shrink-0 ${style.color}`} />
+              <div className="min-w-0">
+                <span className="font-mono text-gray-900">{check.operation}</span>
+                {check.status !== 'passed' && (
+                  <span className="text-gray-600">
+                    {' '}— {check.message}
+                    {check.code && <span className="text-xs text-gray-400"> ({check.code})</span>}
+                  </span>
+                )}
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+
+      {result.detectedRegion && onUseRegion && (
+        <Button onClick={() => onUseRegion(result.detectedRegion)} variant="outline" size="sm" icon="MapPin">
+          Use {result.detectedRegion}
+        </Button>
+      )}
+    </div>
+  )
+}
+
+export default ConnectionDiagnostics
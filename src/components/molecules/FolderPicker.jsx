@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import ApperIcon from '@/components/ApperIcon'
+import s3Service from '@/services/api/s3Service'
+
+const FolderPicker = ({ value = '', onChange, disabledPaths = [], service = s3Service, className = "" }) => {
+  const [folders, setFolders] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadFolders()
+  }, [value, service])
+
+  const loadFolders = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const entries = await service.listFiles(value)
+      setFolders(entries.filter(entry => entry.isFolder))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // A folder being moved cannot become its own destination (or a child of itself)
+  const isDisabled = (path) =>
+    disabledPaths.some(disabled => path === disabled || path.startsWith(`${disabled}/`))
+
+  const parts = value ? value.split('/').filter(Boolean) : []
+
+  return (
+    <div className={`border-2 border-gray-200 rounded-lg overflow-hidden ${className}`}>
+      <nav className="flex items-center flex-wrap gap-1 px-3 py-2 bg-gray-50 border-b border-gray-200 text-sm">
+        <button onClick={() => onChange?.('')} className="hover:text-aws-blue transition-colors">
+          Root
+        </button>
+        {parts.map((part, index) => (
+          <span key={index} className="flex items-center gap-1">
+            <ApperIcon name="ChevronRight" className="w-3 h-3" />
+            <button
+              onClick={() => onChange?.(parts.slice(0, index + 1).join('/'))}
+              className="hover:text-aws-blue transition-colors"
+            >
+              {part}
+            </button>
+          </span>
+        ))}
+      </nav>
+
+      <div className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+        {loading && (
+          <div className="flex items-center justify-center py-6">
+            <motion.div
+              animate={{ rotate: 360 }}
+              transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+            >
+              <ApperIcon name="Loader2" className="w-5 h-5 text-aws-orange" />
+            </motion.div>
+          </div>
+        )}
+
+        {!loading && error && (
+          <p className="px-3 py-4 text-sm text-error">{error}</p>
+        )}
+
+        {!loading && !error && folders.length === 0 && (
+          <p className="px-3 py-4 text-sm text-gray-500">No subfolders</p>
+        )}
+
+        {!loading && !error && folders.map(folder => {
+          const disabled = isDisabled(folder.key)
+          return (
+            <button
+              key={folder.key}
+              onClick={() => !disabled && onChange?.(folder.key)}
+              disabled={disabled}
+              className={`w-full flex items-center gap-2 px-3 py-2 text-left text-sm transition-colors ${
+                disabled ? 'text-gray-400 cursor-not-allowed' : 'hover:bg-gray-50 text-gray-800'
+              }`}
+            >
+              <ApperIcon name="Folder" className="w-4 h-4 text-blue-500" />
+              <span className="truncate">{folder.name}</span>
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default FolderPicker
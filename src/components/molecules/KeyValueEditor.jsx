@@ -0,0 +1,79 @@
+import ApperIcon from '@/components/ApperIcon'
+import Button from '@/components/atoms/Button'
+
+// Editable list of { key, value } rows, used for user metadata and object tags
+const KeyValueEditor = ({
+  rows = [],
+  onChange,
+  keyPrefix = '',
+  keyPlaceholder = 'key',
+  valuePlaceholder = 'value',
+  maxRows,
+  disabled = false,
+  className = ""
+}) => {
+  const updateRow = (index, field, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)))
+  }
+
+  const removeRow = (index) => {
+    onChange(rows.filter((_, i) => i !== index))
+  }
+
+  const addRow = () => {
+    onChange([...rows, { key: '', value: '' }])
+  }
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      {rows.length === 0 && (
+        <p className="text-sm text-gray-500">None</p>
+      )}
+
+      {rows.map((row, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <div className="flex-1 flex items-center border-2 border-gray-200 rounded-lg focus-within:border-aws-blue overflow-hidden">
+            {keyPrefix && (
+              <span className="pl-3 text-xs text-gray-400 whitespace-nowrap">{keyPrefix}</span>
+            )}
+            <input
+              value={row.key}
+              onChange={(e) => updateRow(index, 'key', e.target.value)}
+              placeholder={keyPlaceholder}
+              disabled={disabled}
+              className="flex-1 min-w-0 px-2 py-2 text-sm outline-none"
+            />
+          </div>
+          <input
+            value={row.value}
+            onChange={(e) => updateRow(index, 'value', e.target.value)}
+            placeholder={valuePlaceholder}
+            disabled={disabled}
+            className="flex-1 min-w-0 px-3 py-2 text-sm border-2 border-gray-200 rounded-lg focus:border-aws-blue outline-none"
+          />
+          <button
+            type="button"
+            onClick={() => removeRow(index)}
+            disabled={disabled}
+            className="text-gray-400 hover:text-error transition-colors"
+          >
+            <ApperIcon name="X" className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      <Button
+        type="button"
+        onClick={addRow}
+        variant="ghost"
+        size="sm"
+        icon="Plus"
+        disabled={disabled || (maxRows !== undefined && rows.length >= maxRows)}
+      >
+        Add
+      </Button>
+    </div>
+  )
+}
+
+export default KeyValueEditor
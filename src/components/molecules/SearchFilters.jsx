@@ -0,0 +1,171 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import Input from '@/components/atoms/Input'
+import Button from '@/components/atoms/Button'
+
+const MB = 1024 * 1024
+
+const typeOptions = [
+  { value: '', label: 'Any type' },
+  { value: 'image/', label: 'Images' },
+  { value: 'video/', label: 'Videos' },
+  { value: 'audio/', label: 'Audio' },
+  { value: 'text/', label: 'Text' },
+  { value: 'application/pdf', label: 'PDF' },
+  { value: 'application/json', label: 'JSON' },
+  { value: 'application/zip', label: 'ZIP archives' }
+]
+
+const initialForm = {
+  query: '',
+  pattern: '',
+  patternType: 'glob',
+  extensions: '',
+  mimeType: '',
+  minSizeMb: '',
+  maxSizeMb: '',
+  modifiedAfter: '',
+  modifiedBefore: ''
+}
+
+const SearchFilters = ({ onSearch, onCancel, onClear, running = false, active = false, className = "" }) => {
+  const [form, setForm] = useState(initialForm)
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    const parseSize = (value) => value === '' ? undefined : Number(value) * MB
+
+    onSearch({
+      query: form.query,
+      pattern: form.pattern.trim(),
+      patternType: form.patternType,
+      extensions: form.extensions.split(',').filter(ext => ext.trim()),
+      mimeType: form.mimeType,
+      minSize: parseSize(form.minSizeMb),
+      maxSize: parseSize(form.maxSizeMb),
+      modifiedAfter: form.modifiedAfter ? new Date(`${form.modifiedAfter}T00:00:00`).toISOString() : undefined,
+      modifiedBefore: form.modifiedBefore ? new Date(`${form.modifiedBefore}T23:59:59.999`).toISOString() : undefined
+    })
+  }
+
+  const handleReset = () => {
+    setForm(initialForm)
+    onClear?.()
+  }
+
+  return (
+    <motion.form
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      onSubmit={handleSubmit}
+      className={`card p-4 space-y-4 ${className}`}
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label="Name contains"
+          value={form.query}
+          onChange={(e) => handleChange('query', e.target.value)}
+          placeholder="report"
+        />
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700">Full key pattern</label>
+          <div className="flex gap-2">
+            <select
+              value={form.patternType}
+              onChange={(e) => handleChange('patternType', e.target.value)}
+              className="px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-aws-blue focus:ring-2 focus:ring-aws-blue/20"
+            >
+              <option value="glob">Glob</option>
+              <option value="regex">Regex</option>
+            </select>
+            <input
+              value={form.pattern}
+              onChange={(e) => handleChange('pattern', e.target.value)}
+              placeholder={form.patternType === 'glob' ? 'logs/**/*.csv' : '^logs/2024-\\d{2}/'}
+              className="input-field"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label="Extensions"
+          value={form.extensions}
+          onChange={(e) => handleChange('extensions', e.target.value)}
+          placeholder="csv, json, log"
+        />
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700">File type</label>
+          <select
+            value={form.mimeType}
+            onChange={(e) => handleChange('mimeType', e.target.value)}
+            className="input-field"
+          >
+            {typeOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Input
+          label="Min size (MB)"
+          type="number"
+          min="0"
+          step="any"
+          value={form.minSizeMb}
+          onChange={(e) => handleChange('minSizeMb', e.target.value)}
+        />
+        <Input
+          label="Max size (MB)"
+          type="number"
+          min="0"
+          step="any"
+          value={form.maxSizeMb}
+          onChange={(e) => handleChange('maxSizeMb', e.target.value)}
+        />
+        <Input
+          label="Modified after"
+          type="date"
+          value={form.modifiedAfter}
+          onChange={(e) => handleChange('modifiedAfter', e.target.value)}
+        />
+        <Input
+          label="Modified before"
+          type="date"
+          value={form.modifiedBefore}
+          onChange={(e) => handleChange('modifiedBefore', e.target.value)}
+        />
+      </div>
+
+      <div className="flex items-center gap-3">
+        {running ? (
+          <Button type="button" onClick={onCancel} variant="danger" size="sm" icon="Square">
+            Cancel search
+          </Button>
+        ) : (
+          <Button type="submit" variant="primary" size="sm" icon="Search">
+            Search this folder and below
+          </Button>
+        )}
+        {active && !running && (
+          <Button type="button" onClick={handleReset} variant="ghost" size="sm" icon="X">
+            Clear search
+          </Button>
+        )}
+      </div>
+    </motion.form>
+  )
+}
+
+export default SearchFilters
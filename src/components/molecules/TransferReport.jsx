@@ -0,0 +1,89 @@
+import ApperIcon from '@/components/ApperIcon'
+import ProgressBar from '@/components/atoms/ProgressBar'
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes'
+  const k = 1024
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+  const i = Math.floor(Math.log(bytes) / Math.log(k))
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+}
+
+// Progress and end-of-run summary for multi-object operations (move, copy, delete, zip).
+// Progress may carry bytesDone/totalBytes, in which case the bar tracks bytes instead of objects.
+const TransferReport = ({ progress, report, verb = 'Moved', className = "" }) => {
+  if (!report) {
+    const byBytes = progress?.totalBytes > 0
+
+    return (
+      <div className={`space-y-2 ${className}`}>
+        <ProgressBar
+          value={byBytes ? progress.bytesDone : (progress?.completed || 0)}
+          max={byBytes ? progress.totalBytes : Math.max(progress?.total || 0, 1)}
+          showLabel
+          label={progress?.total ? `${progress.completed} of ${progress.total} objects` : 'Preparing...'}
+        />
+        {byBytes && (
+          <p className="text-xs text-gray-500">
+            {formatFileSize(progress.bytesDone)} of {formatFileSize(progress.totalBytes)}
+          </p>
+        )}
+        {progress?.currentKey && (
+          <p className="text-xs text-gray-500 truncate" title={progress.currentKey}>
+            {progress.currentKey}
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  const succeeded = report.moved || report.succeeded || []
+
+  return (
+    <div className={`space-y-3 text-sm ${className}`}>
+      <div className="flex items-center gap-2 text-success">
+        <ApperIcon name="CheckCircle" className="w-4 h-4" />
+        <span>{verb} {succeeded.length} of {report.total} objects</span>
+      </div>
+
+      {report.cancelled && (
+        <div className="flex items-center gap-2 text-warning">
+          <ApperIcon name="PauseCircle" className="w-4 h-4" />
+          <span>Cancelled before completion</span>
+        </div>
+      )}
+
+      {report.failed.length > 0 && (
+        <div className="space-y-1">
+          <div className="flex items-center gap-2 text-error">
+            <ApperIcon name="XCircle" className="w-4 h-4" />
+            <span>{report.failed.length} failed</span>
+          </div>
+          <ul className="max-h-32 overflow-y-auto pl-6 space-y-1 text-xs text-gray-600">
+            {report.failed.map(failure => (
+              <li key={failure.key} className="break-all">
+                <span className="font-medium">{failure.key}</span>: {failure.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {report.notAttempted?.length > 0 && (
+        <div className="space-y-1">
+          <div className="flex items-center gap-2 text-gray-600">
+            <ApperIcon name="MinusCircle" className="w-4 h-4" />
+            <span>{report.notAttempted.length} not attempted</span>
+          </div>
+          <ul className="max-h-32 overflow-y-auto pl-6 space-y-1 text-xs text-gray-500">
+            {report.notAttempted.map(key => (
+              <li key={key} className="break-all">{key}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TransferReport
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import FileBrowser from "@/components/organisms/FileBrowser";
+import bucketConfigService from "@/services/api/bucketConfigService";
+import s3WorkspaceService from "@/services/api/s3WorkspaceService";
+
+// Open buckets as tabs, each browsing with its own configuration's client
+const BucketTabs = ({ workspace, onRefresh, className = "" }) => {
+  const [configs, setConfigs] = useState([])
+  const [showPicker, setShowPicker] = useState(false)
+
+  useEffect(() => {
+    const loadConfigs = async () => {
+      try {
+        const allConfigs = await bucketConfigService.getAll()
+        setConfigs(allConfigs)
+        s3WorkspaceService.pruneTabs(allConfigs.map(config => config.Id))
+      } catch (err) {
+        console.error('Failed to load configurations:', err)
+      }
+    }
+
+    loadConfigs()
+    return bucketConfigService.subscribe(() => loadConfigs())
+  }, [])
+
+  const configById = (id) => configs.find(config => config.Id === id)
+  const selectedTab = workspace.tabs.find(tab => tab.configId === workspace.selectedConfigId)
+  const closedConfigs = configs.filter(config => !workspace.tabs.some(tab => tab.configId === config.Id))
+
+  const handleOpen = (configId) => {
+    s3WorkspaceService.openTab(configId)
+    setShowPicker(false)
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex items-end gap-1 border-b border-gray-200 overflow-x-auto">
+        {workspace.tabs.map(tab => {
+          const config = configById(tab.configId)
+          const selected = tab.configId === workspace.selectedConfigId
+          return (
+            <div
+              key={tab.configId}
+              className={`flex items-center gap-2 px-3 py-2 rounded-t-lg border border-b-0 text-sm cursor-pointer flex-shrink-0 ${
+                selected ? 'bg-white border-gray-200 text-gray-900 font-medium' : 'bg-gray-50 border-transparent text-gray-600 hover:bg-gray-100'
+              }`}
+              onClick={() => s3WorkspaceService.selectTab(tab.configId)}
+              title={config ? `${config.bucketName} (${config.region})` : undefined}
+            >
+              <ApperIcon name="Database" className={`w-4 h-4 ${selected ? 'text-aws-orange' : 'text-gray-400'}`} />
+              <span className="truncate max-w-[10rem]">{config?.name || 'Loading…'}</span>
+              {config?.isActive && <span className="w-1.5 h-1.5 bg-success rounded-full" title="Active configuration" />}
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation()
+                  s3WorkspaceService.closeTab(tab.configId)
+                }}
+                className="p-0.5 rounded text-gray-400 hover:text-gray-700 hover:bg-gray-200"
+                aria-label={`Close ${config?.name || 'tab'}`}
+              >
+                <ApperIcon name="X" className="w-3 h-3" />
+              </button>
+            </div>
+          )
+        })}
+
+        <div className="relative flex-shrink-0">
+          <button
+            type="button"
+            onClick={() => setShowPicker(prev => !prev)}
+            disabled={closedConfigs.length === 0}
+            className="p-2 text-gray-500 hover:text-aws-blue disabled:opacity-40 disabled:hover:text-gray-500"
+            title="Open another bucket"
+          >
+            <ApperIcon name="Plus" className="w-4 h-4" />
+          </button>
+          {showPicker && closedConfigs.length > 0 && (
+            <div className="absolute left-0 top-full mt-1 z-20 w-64 bg-white border border-gray-200 rounded-lg shadow-lg py-1">
+              {closedConfigs.map(config => (
+                <button
+                  key={config.Id}
+                  type="button"
+                  onClick={() => handleOpen(config.Id)}
+                  className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                >
+                  <span className="block text-gray-900 truncate">{config.name}</span>
+                  <span className="block text-xs text-gray-500 truncate">{config.bucketName}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selectedTab ? (
+        <FileBrowser
+          key={selectedTab.configId}
+          service={s3WorkspaceService.getService(selectedTab.configId)}
+          configId={selectedTab.configId}
+          currentPath={selectedTab.path}
+          onPathChange={(path) => s3WorkspaceService.setTabPath(selectedTab.configId, path)}
+          onRefresh={onRefresh}
+        />
+      ) : (
+        <div className="card p-8 text-center text-gray-600">
+          <ApperIcon name="FolderOpen" className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+          Open a bucket with the + button to start browsing.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BucketTabs
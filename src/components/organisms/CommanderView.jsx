@@ -0,0 +1,258 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { AnimatePresence } from "framer-motion";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import CrossConfigCopyDialog from "@/components/organisms/CrossConfigCopyDialog";
+import FileBrowser from "@/components/organisms/FileBrowser";
+import bucketConfigService from "@/services/api/bucketConfigService";
+import { compareListings } from "@/services/api/s3Service";
+import s3WorkspaceService from "@/services/api/s3WorkspaceService";
+
+const PANE_LABELS = ['left', 'right']
+const paneDragId = (index) => `pane-${index}`
+
+const EMPTY_LISTING = { files: [], complete: false }
+
+const COMPARE_CRITERIA = [
+  { value: 'size', label: 'Size' },
+  { value: 'etag', label: 'ETag' },
+  { value: 'date', label: 'Date' }
+]
+
+// Two independent browsers side by side. F5 copies and F6 moves the focused pane's selection into
+// the folder open in the other pane; dragging rows across does the same (Shift to move).
+const CommanderView = ({ workspace, onRefresh, className = "" }) => {
+  const [configs, setConfigs] = useState([])
+  const [focusedPane, setFocusedPane] = useState(0)
+  const [selections, setSelections] = useState([[], []])
+  const [listings, setListings] = useState([EMPTY_LISTING, EMPTY_LISTING])
+  const [refreshKeys, setRefreshKeys] = useState([0, 0])
+  const [comparing, setComparing] = useState(false)
+  const [criteria, setCriteria] = useState({ size: true, etag: true, date: true })
+  const [transfer, setTransfer] = useState(null)
+  const { panes } = workspace
+
+  useEffect(() => {
+    const loadConfigs = async () => {
+      try {
+        const allConfigs = await bucketConfigService.getAll()
+        setConfigs(allConfigs)
+        s3WorkspaceService.pruneTabs(allConfigs.map(config => config.Id))
+      } catch (err) {
+        console.error('Failed to load configurations:', err)
+      }
+    }
+
+    loadConfigs()
+    return bucketConfigService.subscribe(() => loadConfigs())
+  }, [])
+
+  const updatePaneState = (setter, index, value) => {
+    setter(prev => prev.map((entry, i) => (i === index ? value : entry)))
+  }
+
+  // Panes page through their folders while comparing; a partial listing would flag every
+  // object on an unloaded page as missing, so nothing is compared until both are complete
+  const listingsComplete = listings.every(listing => listing.complete)
+  const comparisons = useMemo(() => {
+    if (!comparing || !listingsComplete || panes.some(pane => pane.configId === null)) return [null, null]
+    return [
+      compareListings(listings[0].files, listings[1].files, criteria),
+      compareListings(listings[1].files, listings[0].files, criteria)
+    ]
+  }, [comparing, listingsComplete, criteria, listings, panes])
+
+  const startTransfer = (sourceIndex, items, destination, move) => {
+    const source = panes[sourceIndex]
+    const target = panes[1 - sourceIndex]
+    if (source.configId === null || target.configId === null) {
+      toast.error('Choose a bucket for both panes first')
+      return
+    }
+    if (items.length === 0) {
+      toast.error(`Select items in the ${PANE_LABELS[sourceIndex]} pane first`)
+      return
+    }
+    if (source.configId === target.configId && source.path === destination) {
+      toast.error('Both panes show the same folder')
+      return
+    }
+
+    setTransfer({
+      items,
+      move,
+      sourceConfigId: source.configId,
+      targetConfigId: target.configId,
+      destination
+    })
+  }
+
+  const transferSelection = (move) => {
+    startTransfer(focusedPane, selections[focusedPane], panes[1 - focusedPane].path, move)
+  }
+
+  const handleExternalDrop = (targetIndex, sourceId, items, destination, { move }) => {
+    if (sourceId !== paneDragId(1 - targetIndex)) return
+    startTransfer(1 - targetIndex, items, destination, move)
+  }
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (transfer || (e.key !== 'F5' && e.key !== 'F6')) return
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+      // F5 would otherwise reload the page
+      e.preventDefault()
+      transferSelection(e.key === 'F6')
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  })
+
+  const handleTransferComplete = () => {
+    setRefreshKeys(prev => prev.map(key => key + 1))
+    onRefresh?.()
+  }
+
+  const otherLabel = PANE_LABELS[1 - focusedPane]
+  const selectedCount = selections[focusedPane].length
+  const differenceCounts = comparisons.map(result => {
+    const entries = result ? Array.from(result.values()) : []
+    return {
+      missing: entries.filter(entry => entry.status === 'missing').length,
+      different: entries.filter(entry => entry.status === 'different').length
+    }
+  })
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="card p-3 flex flex-wrap items-center gap-2">
+        <Button
+          onClick={() => transferSelection(false)}
+          disabled={selectedCount === 0}
+          variant="outline"
+          size="sm"
+          icon="Copy"
+          title={`Copy the selection to the ${otherLabel} pane`}
+        >
+          Copy {focusedPane === 0 ? '→' : '←'} (F5)
+        </Button>
+        <Button
+          onClick={() => transferSelection(true)}
+          disabled={selectedCount === 0}
+          variant="outline"
+          size="sm"
+          icon="FolderInput"
+          title={`Move the selection to the ${otherLabel} pane`}
+        >
+          Move {focusedPane === 0 ? '→' : '←'} (F6)
+        </Button>
+        <Button
+          onClick={() => s3WorkspaceService.swapPanes()}
+          variant="ghost"
+          size="sm"
+          icon="ArrowLeftRight"
+          title="Swap panes"
+        />
+
+        <div className="flex items-center gap-3 ml-auto text-sm text-gray-700">
+          <label className="flex items-center gap-2 font-medium">
+            <input
+              type="checkbox"
+              checked={comparing}
+              onChange={(e) => setComparing(e.target.checked)}
+              className="rounded border-gray-300 text-aws-orange focus:ring-aws-orange"
+            />
+            Compare panes
+          </label>
+          {comparing && COMPARE_CRITERIA.map(option => (
+            <label key={option.value} className="flex items-center gap-1 text-gray-600">
+              <input
+                type="checkbox"
+                checked={criteria[option.value]}
+                onChange={(e) => setCriteria(prev => ({ ...prev, [option.value]: e.target.checked }))}
+                className="rounded border-gray-300 text-aws-orange focus:ring-aws-orange"
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        {panes.map((pane, index) => (
+          <div
+            key={index}
+            onMouseDown={() => setFocusedPane(index)}
+            onFocusCapture={() => setFocusedPane(index)}
+            className={`rounded-xl ring-2 transition-colors min-w-0 ${focusedPane === index ? 'ring-aws-orange' : 'ring-transparent'}`}
+          >
+            <div className="flex items-center gap-2 px-2 py-2">
+              <ApperIcon name="Database" className={`w-4 h-4 ${focusedPane === index ? 'text-aws-orange' : 'text-gray-400'}`} />
+              <select
+                value={pane.configId ?? ''}
+                onChange={(e) => s3WorkspaceService.setPane(index, { configId: e.target.value === '' ? null : Number(e.target.value) })}
+                className="px-2 py-1 border-2 border-gray-200 rounded-lg focus:border-aws-blue outline-none text-sm flex-1 min-w-0"
+              >
+                <option value="">Choose a bucket…</option>
+                {configs.map(config => (
+                  <option key={config.Id} value={config.Id}>
+                    {config.name} ({config.bucketName})
+                  </option>
+                ))}
+              </select>
+              {comparisons[index] && (
+                <span className="text-xs text-gray-600 whitespace-nowrap">
+                  {differenceCounts[index].different} differ • {differenceCounts[index].missing} only here
+                </span>
+              )}
+              {comparing && pane.configId !== null && !listings[index].complete && (
+                <span className="text-xs text-gray-500 whitespace-nowrap">Loading every item to compare…</span>
+              )}
+            </div>
+
+            {pane.configId !== null ? (
+              <FileBrowser
+                key={`${index}-${pane.configId}`}
+                service={s3WorkspaceService.getService(pane.configId)}
+                configId={pane.configId}
+                currentPath={pane.path}
+                onPathChange={(path) => s3WorkspaceService.setPane(index, { path })}
+                onRefresh={onRefresh}
+                dragSourceId={paneDragId(index)}
+                onExternalDrop={(sourceId, items, destination, options) => handleExternalDrop(index, sourceId, items, destination, options)}
+                onSelectionChange={(items) => updatePaneState(setSelections, index, items)}
+                onFilesLoaded={(files, { complete }) => updatePaneState(setListings, index, { files, complete })}
+                compareWith={comparisons[index]}
+                loadAll={comparing}
+                refreshKey={refreshKeys[index]}
+              />
+            ) : (
+              <div className="card p-8 text-center text-gray-600">
+                <ApperIcon name="FolderOpen" className="w-10 h-10 text-gray-300 mx-auto mb-3" />
+                Choose a bucket for the {PANE_LABELS[index]} pane.
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <AnimatePresence>
+        {transfer && (
+          <CrossConfigCopyDialog
+            items={transfer.items}
+            sourceConfigId={transfer.sourceConfigId}
+            targetConfigId={transfer.targetConfigId}
+            initialDestination={transfer.destination}
+            move={transfer.move}
+            onClose={() => setTransfer(null)}
+            onComplete={handleTransferComplete}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default CommanderView
@@ -0,0 +1,188 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Input from "@/components/atoms/Input";
+import Button from "@/components/atoms/Button";
+import configTransferService from "@/services/api/configTransferService";
+
+const MIN_PASSPHRASE_LENGTH = 8
+
+const SECRET_OPTIONS = [
+  { value: 'omit', label: 'Omit secrets', formats: ['json', 'ini'] },
+  { value: 'encrypt', label: 'Encrypt secrets with a passphrase', formats: ['json'] },
+  { value: 'include', label: 'Include secrets in plain text', formats: ['json', 'ini'] }
+]
+
+const saveText = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Export selected configurations as S3 Vault JSON or as an ~/.aws/config style INI file
+const ConfigExportDialog = ({ configs, onClose }) => {
+  const [selectedIds, setSelectedIds] = useState(() => new Set(configs.map(config => config.Id)))
+  const [exportFormat, setExportFormat] = useState('json')
+  const [secrets, setSecrets] = useState('omit')
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [exporting, setExporting] = useState(false)
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }
+
+  const handleFormatChange = (value) => {
+    setExportFormat(value)
+    if (value === 'ini' && secrets === 'encrypt') setSecrets('omit')
+  }
+
+  const handleExport = async () => {
+    if (secrets === 'encrypt') {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        toast.error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`)
+        return
+      }
+      if (passphrase !== confirmation) {
+        toast.error('Passphrases do not match')
+        return
+      }
+    }
+
+    try {
+      setExporting(true)
+      const selected = configs.filter(config => selectedIds.has(config.Id))
+      if (exportFormat === 'json') {
+        saveText(await configTransferService.exportJson(selected, { secrets, passphrase }), 's3-vault-configs.json', 'application/json')
+      } else {
+        saveText(configTransferService.exportIni(selected, { secrets }), 's3-vault-config.ini', 'text/plain')
+      }
+      toast.success(`Exported ${selected.length} configuration${selected.length === 1 ? '' : 's'}`)
+      onClose()
+    } catch (err) {
+      toast.error(err?.message || 'Export failed')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.8, opacity: 0 }}
+        className="bg-white rounded-lg max-w-lg w-full mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ApperIcon name="FileOutput" className="w-5 h-5 text-aws-blue" />
+            Export configurations
+          </h3>
+        </div>
+
+        <div className="p-4 overflow-y-auto flex-1 space-y-4">
+          <div className="space-y-1 max-h-48 overflow-y-auto border border-gray-200 rounded-lg p-2">
+            {configs.map(config => (
+              <label key={config.Id} className="flex items-center gap-2 text-sm p-1">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.has(config.Id)}
+                  onChange={() => toggleSelected(config.Id)}
+                />
+                <span className="text-gray-900">{config.name}</span>
+                <span className="text-gray-500 truncate">{config.bucketName}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex gap-6 text-sm text-gray-700">
+            {[['json', 'S3 Vault JSON'], ['ini', 'AWS config (INI)']].map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="export-format"
+                  checked={exportFormat === value}
+                  onChange={() => handleFormatChange(value)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            {SECRET_OPTIONS.filter(option => option.formats.includes(exportFormat)).map(option => (
+              <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="export-secrets"
+                  checked={secrets === option.value}
+                  onChange={() => setSecrets(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          {secrets === 'encrypt' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <Input
+                label="Passphrase"
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoComplete="new-password"
+              />
+              <Input
+                label="Confirm passphrase"
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                autoComplete="new-password"
+              />
+            </div>
+          )}
+
+          {secrets === 'include' && (
+            <p className="text-sm text-warning flex items-start gap-2">
+              <ApperIcon name="AlertTriangle" className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              Anyone with the file can use these credentials. Share it only over a secure channel.
+            </p>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-3">
+          <Button onClick={onClose} variant="outline">
+            Cancel
+          </Button>
+          <Button onClick={handleExport} loading={exporting} disabled={selectedIds.size === 0} icon="Download">
+            Export {selectedIds.size}
+          </Button>
+        </div>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default ConfigExportDialog
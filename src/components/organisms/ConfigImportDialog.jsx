@@ -0,0 +1,266 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Input from "@/components/atoms/Input";
+import Button from "@/components/atoms/Button";
+import bucketConfigService, { validateConfigFields } from "@/services/api/bucketConfigService";
+import configTransferService from "@/services/api/configTransferService";
+
+// Import configurations from ~/.aws/credentials and ~/.aws/config files or an S3 Vault JSON export.
+// AWS files carry no bucket names, so every selected profile needs one before importing; profiles
+// without keys get fields to enter them.
+const ConfigImportDialog = ({ existingNames = [], onImported, onClose }) => {
+  const [pastedText, setPastedText] = useState('')
+  const [files, setFiles] = useState([])
+  const [passphrase, setPassphrase] = useState('')
+  const [needsPassphrase, setNeedsPassphrase] = useState(false)
+  const [rows, setRows] = useState(null)
+  const [reading, setReading] = useState(false)
+  const [importing, setImporting] = useState(false)
+
+  const handleRead = async () => {
+    try {
+      setReading(true)
+      const texts = [
+        ...await Promise.all(files.map(file => file.text())),
+        ...(pastedText.trim() ? [pastedText] : [])
+      ]
+      if (texts.length === 0) {
+        toast.error('Paste a file or choose one to import')
+        return
+      }
+
+      // Exports and AWS files can be read together; the AWS files are merged with each other only
+      const jsonTexts = texts.filter(text => configTransferService.isJsonExport(text))
+      const iniTexts = texts.filter(text => !configTransferService.isJsonExport(text))
+      const entries = [
+        ...(await Promise.all(jsonTexts.map(text => configTransferService.parseJsonExport(text, { passphrase })))).flat(),
+        ...(iniTexts.length > 0 ? configTransferService.parseAwsProfiles(iniTexts) : [])
+      ]
+
+      if (entries.length === 0) {
+        toast.error('No profiles found')
+        return
+      }
+
+      setNeedsPassphrase(false)
+      setRows(entries.map(entry => ({
+        ...entry,
+        selected: entry.warnings.length === 0,
+        needsKeys: !entry.config.accessKey || !entry.config.secretKey,
+        config: { region: 'us-east-1', bucketName: '', ...entry.config }
+      })))
+    } catch (err) {
+      if (err.code === 'PassphraseRequired') {
+        setNeedsPassphrase(true)
+      }
+      toast.error(err.message)
+    } finally {
+      setReading(false)
+    }
+  }
+
+  const updateRow = (index, patch) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...patch } : row)))
+  }
+
+  const updateRowConfig = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, config: { ...row.config, [field]: value } } : row)))
+  }
+
+  const selectedRows = rows?.filter(row => row.selected) || []
+  const rowErrors = (rows || []).map(row => (row.selected ? validateConfigFields(row.config) : {}))
+  const hasErrors = rowErrors.some(errors => Object.keys(errors).length > 0)
+
+  const handleImport = async () => {
+    try {
+      setImporting(true)
+      const imported = await bucketConfigService.importConfigs(selectedRows.map(row => row.config))
+      toast.success(`Imported ${imported.length} configuration${imported.length === 1 ? '' : 's'}`)
+      onImported?.(imported)
+    } catch (err) {
+      toast.error(err?.message || 'Failed to import configurations')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.8, opacity: 0 }}
+        className="bg-white rounded-lg max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ApperIcon name="FileInput" className="w-5 h-5 text-aws-blue" />
+            Import configurations
+          </h3>
+          <p className="text-sm text-gray-600">
+            From ~/.aws/credentials and ~/.aws/config, or a JSON file exported from S3 Vault
+          </p>
+        </div>
+
+        <div className="p-4 overflow-y-auto flex-1 space-y-4">
+          {!rows ? (
+            <>
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-gray-700">Files</label>
+                <input
+                  type="file"
+                  multiple
+                  onChange={(e) => setFiles(Array.from(e.target.files || []))}
+                  className="block w-full text-sm text-gray-600"
+                />
+                <p className="text-xs text-gray-500">Choose both credentials and config to combine their profiles.</p>
+              </div>
+
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-gray-700">Or paste their contents</label>
+                <textarea
+                  value={pastedText}
+                  onChange={(e) => setPastedText(e.target.value)}
+                  rows={8}
+                  spellCheck={false}
+                  placeholder={'[default]\naws_access_key_id = AKIA...\naws_secret_access_key = ...\nregion = us-east-1'}
+                  className="input-field font-mono text-sm"
+                />
+              </div>
+
+              {needsPassphrase && (
+                <Input
+                  label="Export passphrase"
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  autoFocus
+                />
+              )}
+            </>
+          ) : (
+            <div className="space-y-3">
+              {rows.map((row, index) => (
+                <div key={`${row.profile}-${index}`} className={`border rounded-lg p-3 space-y-3 ${row.selected ? 'border-aws-blue/40' : 'border-gray-200'}`}>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={row.selected}
+                      onChange={(e) => updateRow(index, { selected: e.target.checked })}
+                    />
+                    <span className="font-medium text-gray-900">{row.profile}</span>
+                    {row.config.roleArn && (
+                      <span className="text-xs text-gray-500 truncate" title={row.config.roleArn}>
+                        assumes {row.config.roleArn.split('/').pop()}{row.sourceProfile && ` via ${row.sourceProfile}`}
+                      </span>
+                    )}
+                    {row.config.endpoint && (
+                      <span className="text-xs text-gray-500 truncate">{row.config.endpoint}</span>
+                    )}
+                  </label>
+
+                  {row.selected && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                      <Input
+                        label="Configuration Name"
+                        value={row.config.name}
+                        onChange={(e) => updateRowConfig(index, 'name', e.target.value)}
+                        error={rowErrors[index].name || (existingNames.includes(row.config.name?.trim()) ? 'A configuration with this name exists' : null)}
+                        required
+                      />
+                      <Input
+                        label="Bucket Name"
+                        value={row.config.bucketName}
+                        onChange={(e) => updateRowConfig(index, 'bucketName', e.target.value)}
+                        placeholder="my-s3-bucket"
+                        error={rowErrors[index].bucketName}
+                        required
+                      />
+                      <Input
+                        label="Region"
+                        value={row.config.region}
+                        onChange={(e) => updateRowConfig(index, 'region', e.target.value)}
+                        error={rowErrors[index].region}
+                      />
+                      {row.needsKeys && (
+                        <>
+                          <Input
+                            label="Access Key"
+                            value={row.config.accessKey || ''}
+                            onChange={(e) => updateRowConfig(index, 'accessKey', e.target.value)}
+                            error={rowErrors[index].accessKey}
+                            required
+                          />
+                          <Input
+                            label="Secret Key"
+                            type="password"
+                            value={row.config.secretKey || ''}
+                            onChange={(e) => updateRowConfig(index, 'secretKey', e.target.value)}
+                            error={rowErrors[index].secretKey}
+                            required
+                          />
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {[rowErrors[index].roleArn, rowErrors[index].endpoint].filter(Boolean).map(message => (
+                    <p key={message} className="text-xs text-error flex items-center gap-1">
+                      <ApperIcon name="AlertCircle" className="w-3 h-3" />
+                      {message}
+                    </p>
+                  ))}
+
+                  {row.warnings.map(warning => (
+                    <p key={warning} className="text-xs text-warning flex items-center gap-1">
+                      <ApperIcon name="AlertTriangle" className="w-3 h-3" />
+                      {warning}
+                    </p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-between gap-3">
+          {rows ? (
+            <Button onClick={() => setRows(null)} variant="ghost" icon="ArrowLeft">
+              Back
+            </Button>
+          ) : <span />}
+          <div className="flex gap-3">
+            <Button onClick={onClose} variant="outline">
+              Cancel
+            </Button>
+            {rows ? (
+              <Button
+                onClick={handleImport}
+                loading={importing}
+                disabled={selectedRows.length === 0 || hasErrors}
+                icon="Download"
+              >
+                Import {selectedRows.length}
+              </Button>
+            ) : (
+              <Button onClick={handleRead} loading={reading} icon="FileSearch">
+                Read profiles
+              </Button>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default ConfigImportDialog
@@ -1,13 +1,67 @@
 import React, { useEffect, useState } from "react";
-import { motion } from "framer-motion";
+import { AnimatePresence, motion } from "framer-motion";
+import { format } from "date-fns";
 import { toast } from "react-toastify";
 import ApperIcon from "@/components/ApperIcon";
 import Input from "@/components/atoms/Input";
 import Button from "@/components/atoms/Button";
 import StatusIndicator from "@/components/molecules/StatusIndicator";
+import ConnectionDiagnostics from "@/components/molecules/ConnectionDiagnostics";
+import PermissionMatrix from "@/components/organisms/PermissionMatrix";
+import VaultSettings from "@/components/organisms/VaultSettings";
+import ConfigImportDialog from "@/components/organisms/ConfigImportDialog";
+import ConfigExportDialog from "@/components/organisms/ConfigExportDialog";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
-import bucketConfigService from "@/services/api/bucketConfigService";
+import bucketConfigService, { validateBucketName, validateConfigFields } from "@/services/api/bucketConfigService";
+import { AWS_REGION_GROUPS, isKnownRegion } from "@/services/api/awsRegions";
+import { resolveEndpoint, stripEndpointScheme } from "@/services/api/s3ClientFactory";
+import { DEFAULT_SESSION_DURATION_SECONDS } from "@/services/api/sessionCredentialsService";
+
+const EMPTY_FORM = {
+  name: '',
+  accessKey: '',
+  secretKey: '',
+  region: 'us-east-1',
+  bucketName: '',
+  endpoint: '',
+  forcePathStyle: false,
+  useSsl: true,
+  sessionToken: '',
+  roleArn: '',
+  externalId: '',
+  mfaSerial: '',
+  mfaTokenCode: '',
+  sessionDuration: DEFAULT_SESSION_DURATION_SECONDS
+}
+
+const SESSION_DURATION_OPTIONS = [
+  { value: 900, label: '15 minutes' },
+  { value: 3600, label: '1 hour' },
+  { value: 4 * 3600, label: '4 hours' },
+  { value: 12 * 3600, label: '12 hours' }
+]
+
+// Labels for the audit log; unlisted fields show their own name
+const FIELD_LABELS = {
+  name: 'name',
+  accessKey: 'access key',
+  secretKey: 'secret key',
+  region: 'region',
+  bucketName: 'bucket',
+  endpoint: 'endpoint',
+  forcePathStyle: 'path-style',
+  useSsl: 'protocol',
+  sessionToken: 'session token',
+  roleArn: 'role ARN',
+  externalId: 'external ID',
+  mfaSerial: 'MFA device',
+  sessionDuration: 'session duration',
+  isActive: 'activation'
+}
+
+const describeChanges = (changes) =>
+  (changes.length > 0 ? changes.map(field => FIELD_LABELS[field] || field).join(', ') : 'No field changes')
 
 const ConfigurationPanel = ({ onConfigSaved, className = "" }) => {
   const [configs, setConfigs] = useState([])
@@ -17,15 +71,23 @@ const ConfigurationPanel = ({ onConfigSaved, className = "" }) => {
   const [testing, setTesting] = useState(false)
   const [showForm, setShowForm] = useState(false)
   
-  const [formData, setFormData] = useState({
-    name: '',
-    accessKey: '',
-    secretKey: '',
-    region: 'us-east-1',
-    bucketName: ''
-  })
+  const [formData, setFormData] = useState(EMPTY_FORM)
 
   const [formErrors, setFormErrors] = useState({})
+  const [testResult, setTestResult] = useState(null)
+  const [formPermissions, setFormPermissions] = useState(null)
+  const [permissionsConfigId, setPermissionsConfigId] = useState(null)
+  const [historyConfigId, setHistoryConfigId] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [clearSessionToken, setClearSessionToken] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [showImport, setShowImport] = useState(false)
+  const [showExport, setShowExport] = useState(false)
+  const [detectingRegion, setDetectingRegion] = useState(false)
+  // Once the user picks a region themselves, leaving the bucket field no longer overwrites it
+  const [regionTouched, setRegionTouched] = useState(false)
+
+  const editingConfig = configs.find(c => c.Id === editingId) || null
 
   useEffect(() => {
     loadConfigs()
@@ -49,32 +111,125 @@ const ConfigurationPanel = ({ onConfigSaved, className = "" }) => {
   }
 
   const validateForm = () => {
-    const errors = {}
-    
-    if (!formData.name.trim()) errors.name = 'Configuration name is required'
-    if (!formData.accessKey.trim()) errors.accessKey = 'Access Key is required'
-    if (!formData.secretKey.trim()) errors.secretKey = 'Secret Key is required'
-    if (!formData.region.trim()) errors.region = 'Region is required'
-    if (!formData.bucketName.trim()) errors.bucketName = 'Bucket name is required'
+    // When editing, a blank secret keeps the stored one
+    const errors = validateConfigFields(formData, { requireSecret: !editingConfig })
+    if (formData.mfaTokenCode.trim() && !/^\d{6}$/.test(formData.mfaTokenCode.trim())) {
+      errors.mfaTokenCode = 'MFA codes are 6 digits'
+    }
     
     setFormErrors(errors)
     return Object.keys(errors).length === 0
   }
 
+  // A pasted URL sets the TLS choice from its scheme
+  const handleEndpointChange = (value) => {
+    const scheme = value.trim().match(/^(https?):\/\//i)?.[1]?.toLowerCase()
+    if (scheme) {
+      handleInputChange('useSsl', scheme === 'https')
+    }
+    handleInputChange('endpoint', scheme ? stripEndpointScheme(value) : value)
+  }
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }))
+    setTestResult(null)
+    setFormPermissions(null)
     if (formErrors[field]) {
       setFormErrors(prev => ({ ...prev, [field]: null }))
     }
   }
 
+  // Form fields to save. In edit mode blank secret fields are left out so the stored values stay.
+  const getSubmission = () => {
+    const submission = { ...formData }
+    if (editingConfig) {
+      if (!submission.secretKey.trim()) delete submission.secretKey
+      if (!submission.sessionToken.trim() && !clearSessionToken) delete submission.sessionToken
+    }
+    return submission
+  }
+
+  // What the configuration will look like once saved, for testing and permission checks
+  const getEffectiveConfig = () => (editingConfig ? { ...editingConfig, ...getSubmission() } : formData)
+
+  const handleDetectRegion = async ({ quiet = false } = {}) => {
+    const config = getEffectiveConfig()
+    if (!config.bucketName.trim() || !config.accessKey || !config.secretKey) {
+      if (!quiet) toast.error('Enter the bucket name and access keys first')
+      return
+    }
+
+    try {
+      setDetectingRegion(true)
+      const region = await bucketConfigService.detectRegion({ ...config, bucketName: config.bucketName.trim() })
+      if (region !== formData.region) {
+        handleInputChange('region', region)
+        toast.info(`Bucket is in ${region}`)
+      } else if (!quiet) {
+        toast.success(`Region ${region} is correct`)
+      }
+    } catch (err) {
+      if (!quiet) toast.error(err.message)
+    } finally {
+      setDetectingRegion(false)
+    }
+  }
+
+  const handleBucketNameBlur = () => {
+    if (regionTouched || formData.endpoint.trim() || validateBucketName(formData.bucketName.trim())) return
+    handleDetectRegion({ quiet: true })
+  }
+
+  const openCreateForm = () => {
+    setRegionTouched(false)
+    setEditingId(null)
+    setFormData(EMPTY_FORM)
+    setClearSessionToken(false)
+    setFormErrors({})
+    setTestResult(null)
+    setFormPermissions(null)
+    setShowForm(true)
+  }
+
+  const handleEditConfig = (config) => {
+    setRegionTouched(true)
+    setEditingId(config.Id)
+    setFormData({
+      ...Object.fromEntries(Object.keys(EMPTY_FORM).map(field => [field, config[field] ?? EMPTY_FORM[field]])),
+      secretKey: '',
+      sessionToken: '',
+      mfaTokenCode: ''
+    })
+    setClearSessionToken(false)
+    setFormErrors({})
+    setTestResult(null)
+    setFormPermissions(null)
+    setShowForm(true)
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingId(null)
+    setFormData(EMPTY_FORM)
+    setClearSessionToken(false)
+    setFormErrors({})
+    setTestResult(null)
+    setFormPermissions(null)
+  }
+
   const handleTestConnection = async () => {
     if (!validateForm()) return
     
     try {
       setTesting(true)
-      await bucketConfigService.testConnection(formData)
-      toast.success('Connection test successful!')
+      setTestResult(null)
+      const result = await bucketConfigService.testConnection(getEffectiveConfig())
+      setTestResult(result)
+      if (result.success) {
+        toast.success('Connection test successful!')
+      } else {
+        toast.error(result.message)
+      }
     } catch (err) {
       toast.error(err.message)
     } finally {
@@ -82,11 +237,55 @@ const ConfigurationPanel = ({ onConfigSaved, className = "" }) => {
     }
   }
 
+  // Edits are re-tested against S3 before they replace the stored configuration
+  const handleUpdateConfig = async () => {
+    try {
+      setSaving(true)
+      const result = await bucketConfigService.testConnection(getEffectiveConfig())
+      setTestResult(result)
+      if (!result.success && !window.confirm(`The connection test failed: ${result.message}\n\nSave the changes anyway?`)) {
+        return
+      }
+
+      const savedConfig = await bucketConfigService.update(editingConfig.Id, {
+        ...getSubmission(),
+        ...(formPermissions && { permissions: formPermissions })
+      })
+
+      setConfigs(prev => prev.map(c => (c.Id === savedConfig.Id ? savedConfig : c)))
+      closeForm()
+      toast.success('Configuration updated!')
+
+      if (savedConfig.isActive) {
+        setActiveConfig(savedConfig)
+        onConfigSaved?.({
+          Id: savedConfig.Id,
+          name: savedConfig.name,
+          bucketName: savedConfig.bucketName,
+          region: savedConfig.region,
+          isActive: savedConfig.isActive,
+          updatedAt: savedConfig.updatedAt
+        })
+      }
+    } catch (err) {
+      toast.error(err?.message || 'Failed to update configuration')
+    } finally {
+      setSaving(false)
+    }
+  }
+
 const handleSaveConfig = async () => {
     if (!validateForm()) return
+    if (editingConfig) {
+      await handleUpdateConfig()
+      return
+    }
     
     try {
-      const savedConfig = await bucketConfigService.create(formData)
+      const savedConfig = await bucketConfigService.create({
+        ...formData,
+        ...(formPermissions && { permissions: formPermissions })
+      })
       
       // Create completely serializable config for postMessage compatibility
       const serializableConfig = {
@@ -100,16 +299,9 @@ const handleSaveConfig = async () => {
           null
       }
       
-      setConfigs(prev => [...prev, savedConfig])
+      setConfigs(prev => [...prev.map(c => ({ ...c, isActive: false })), savedConfig])
       setActiveConfig(savedConfig)
-      setFormData({
-        name: '',
-        accessKey: '',
-        secretKey: '',
-        region: 'us-east-1',
-        bucketName: ''
-      })
-      setShowForm(false)
+      closeForm()
       toast.success('Configuration saved successfully!')
       
       // Safe callback with error handling and serialization verification
@@ -153,7 +345,7 @@ const handleSetActive = async (configId) => {
       }
       
       setActiveConfig(updatedConfig)
-      setConfigs(prev => prev.map(c => ({ ...c, isActive: c.Id === configId })))
+      setConfigs(prev => prev.map(c => (c.Id === configId ? updatedConfig : { ...c, isActive: false })))
       toast.success('Configuration activated!')
       
       // Safe callback with error handling and serialization verification
@@ -180,12 +372,48 @@ const handleSetActive = async (configId) => {
     }
   }
 
+  const handleSavePermissions = async (configId, permissions) => {
+    try {
+      const updated = await bucketConfigService.savePermissions(configId, permissions)
+      setConfigs(prev => prev.map(c => (c.Id === configId ? updated : c)))
+      if (activeConfig?.Id === configId) {
+        setActiveConfig(updated)
+      }
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  const countDenied = (permissions) =>
+    Object.values(permissions?.results || {}).filter(result => result.status === 'denied').length
+
+  const handleImported = (imported) => {
+    setConfigs(prev => [...prev, ...imported])
+    setShowImport(false)
+
+    const activated = imported.find(config => config.isActive)
+    if (activated) {
+      setActiveConfig(activated)
+      onConfigSaved?.({
+        Id: activated.Id,
+        name: activated.name,
+        bucketName: activated.bucketName,
+        region: activated.region,
+        isActive: activated.isActive,
+        createdAt: activated.createdAt
+      })
+    }
+  }
+
   const handleDeleteConfig = async (configId) => {
     if (!window.confirm('Are you sure you want to delete this configuration?')) return
     
     try {
       await bucketConfigService.delete(configId)
       setConfigs(prev => prev.filter(c => c.Id !== configId))
+      if (editingId === configId) {
+        closeForm()
+      }
       if (activeConfig?.Id === configId) {
         setActiveConfig(null)
       }
@@ -206,13 +434,23 @@ const handleSetActive = async (configId) => {
           <h2 className="text-2xl font-bold text-gray-900">AWS Configuration</h2>
           <p className="text-gray-600 mt-1">Manage your S3 bucket connections</p>
         </div>
-        <Button
-          onClick={() => setShowForm(!showForm)}
-          icon={showForm ? "X" : "Plus"}
-          variant="primary"
-        >
-          {showForm ? "Cancel" : "Add Configuration"}
-        </Button>
+        <div className="flex items-center gap-2">
+          <Button onClick={() => setShowImport(true)} icon="FileInput" variant="outline">
+            Import
+          </Button>
+          {configs.length > 0 && (
+            <Button onClick={() => setShowExport(true)} icon="FileOutput" variant="outline">
+              Export
+            </Button>
+          )}
+          <Button
+            onClick={() => (showForm ? closeForm() : openCreateForm())}
+            icon={showForm ? "X" : "Plus"}
+            variant="primary"
+          >
+            {showForm ? "Cancel" : "Add Configuration"}
+          </Button>
+        </div>
       </div>
 
       {/* Current Status */}
@@ -235,6 +473,8 @@ const handleSetActive = async (configId) => {
         </div>
       </motion.div>
 
+      <VaultSettings />
+
       {/* Configuration Form */}
       {showForm && (
         <motion.div
@@ -243,7 +483,9 @@ const handleSetActive = async (configId) => {
           exit={{ opacity: 0, height: 0 }}
           className="card p-6"
         >
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">New Configuration</h3>
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingConfig ? `Edit ${editingConfig.name}` : 'New Configuration'}
+          </h3>
           
           <div className="space-y-4">
             <Input
@@ -271,30 +513,228 @@ const handleSetActive = async (configId) => {
                 value={formData.secretKey}
                 onChange={(e) => handleInputChange('secretKey', e.target.value)}
                 error={formErrors.secretKey}
-                placeholder="wJalrXUtnFEMI/K7MDENG/bPxRfiCY..."
-                required
+                placeholder={editingConfig ? 'Leave blank to keep the current secret' : 'wJalrXUtnFEMI/K7MDENG/bPxRfiCY...'}
+                required={!editingConfig}
 />
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-3 p-4 border border-gray-200 rounded-lg">
+              <div>
+                <h4 className="font-semibold text-gray-900">Temporary credentials</h4>
+                <p className="text-sm text-gray-600">
+                  Add a session token for keys issued by STS, or a role ARN to assume a role and renew the session automatically.
+                </p>
+              </div>
+
               <Input
-                label="Region"
-                value={formData.region}
-                onChange={(e) => handleInputChange('region', e.target.value)}
-                error={formErrors.region}
-                placeholder="us-east-1"
-                required
+                label="Session Token"
+                type="password"
+                value={formData.sessionToken}
+                onChange={(e) => handleInputChange('sessionToken', e.target.value)}
+                placeholder={editingConfig?.sessionToken ? 'Leave blank to keep the current token' : 'Only for temporary keys (ASIA...)'}
+                disabled={clearSessionToken}
               />
 
+              {editingConfig?.sessionToken && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={clearSessionToken}
+                    onChange={(e) => {
+                      setClearSessionToken(e.target.checked)
+                      handleInputChange('sessionToken', '')
+                    }}
+                  />
+                  Remove the saved session token
+                </label>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input
+                  label="Role ARN"
+                  value={formData.roleArn}
+                  onChange={(e) => handleInputChange('roleArn', e.target.value)}
+                  error={formErrors.roleArn}
+                  placeholder="arn:aws:iam::123456789012:role/S3Access"
+                />
+
+                <Input
+                  label="External ID"
+                  value={formData.externalId}
+                  onChange={(e) => handleInputChange('externalId', e.target.value)}
+                  placeholder="Only if the role's trust policy requires one"
+                  disabled={!formData.roleArn.trim()}
+                />
+              </div>
+
+              {formData.roleArn.trim() && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <Input
+                    label="MFA Device Serial"
+                    value={formData.mfaSerial}
+                    onChange={(e) => handleInputChange('mfaSerial', e.target.value)}
+                    placeholder="arn:aws:iam::123456789012:mfa/alice"
+                  />
+
+                  <Input
+                    label="MFA Code"
+                    value={formData.mfaTokenCode}
+                    onChange={(e) => handleInputChange('mfaTokenCode', e.target.value)}
+                    error={formErrors.mfaTokenCode}
+                    placeholder="123456"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    disabled={!formData.mfaSerial.trim()}
+                  />
+
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-700">Session Duration</label>
+                    <select
+                      value={formData.sessionDuration}
+                      onChange={(e) => handleInputChange('sessionDuration', parseInt(e.target.value, 10))}
+                      className="input-field"
+                    >
+                      {SESSION_DURATION_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {formData.mfaSerial.trim() && (
+                <p className="text-xs text-gray-500">
+                  MFA sessions can't renew themselves. You'll be asked for a new code when the session is about to end.
+                </p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <Input
                 label="Bucket Name"
                 value={formData.bucketName}
                 onChange={(e) => handleInputChange('bucketName', e.target.value)}
+                onBlur={handleBucketNameBlur}
                 error={formErrors.bucketName}
                 placeholder="my-s3-bucket"
                 required
               />
+
+              {formData.endpoint.trim() ? (
+                <Input
+                  label="Region"
+                  value={formData.region}
+                  onChange={(e) => handleInputChange('region', e.target.value)}
+                  error={formErrors.region}
+                  placeholder="us-east-1 (R2 uses auto)"
+                  required
+                />
+              ) : (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Region
+                    <span className="text-error ml-1">*</span>
+                  </label>
+                  <div className="flex gap-2">
+                    <select
+                      value={formData.region}
+                      onChange={(e) => {
+                        setRegionTouched(true)
+                        handleInputChange('region', e.target.value)
+                      }}
+                      className={`input-field flex-1 ${formErrors.region ? 'border-error' : ''}`}
+                    >
+                      {!isKnownRegion(formData.region) && (
+                        <option value={formData.region}>{formData.region || 'Choose a region'}</option>
+                      )}
+                      {AWS_REGION_GROUPS.map(group => (
+                        <optgroup key={group.partition} label={group.label}>
+                          {group.regions.map(region => (
+                            <option key={region.code} value={region.code}>
+                              {region.code} · {region.name}
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                    <Button
+                      onClick={() => handleDetectRegion()}
+                      loading={detectingRegion}
+                      variant="outline"
+                      icon="LocateFixed"
+                      title="Detect the bucket's region"
+                    >
+                      Detect
+                    </Button>
+                  </div>
+                  {formErrors.region && <p className="text-sm text-error mt-1">{formErrors.region}</p>}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-3 p-4 border border-gray-200 rounded-lg">
+              <div>
+                <h4 className="font-semibold text-gray-900">S3-compatible endpoint</h4>
+                <p className="text-sm text-gray-600">
+                  Leave empty for AWS. Set it for MinIO, Ceph, Cloudflare R2, Wasabi or LocalStack.
+                </p>
+              </div>
+
+              <Input
+                label="Endpoint"
+                value={formData.endpoint}
+                onChange={(e) => handleEndpointChange(e.target.value)}
+                error={formErrors.endpoint}
+                placeholder="localhost:9000 or <account>.r2.cloudflarestorage.com"
+              />
+
+              {formData.endpoint.trim() && (
+                <div className="flex flex-wrap items-center gap-6">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    Protocol
+                    <select
+                      value={formData.useSsl ? 'https' : 'http'}
+                      onChange={(e) => handleInputChange('useSsl', e.target.value === 'https')}
+                      className="px-2 py-1 border-2 border-gray-200 rounded-lg focus:border-aws-blue outline-none"
+                    >
+                      <option value="https">HTTPS</option>
+                      <option value="http">HTTP</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.forcePathStyle}
+                      onChange={(e) => handleInputChange('forcePathStyle', e.target.checked)}
+                    />
+                    Path-style requests (endpoint/bucket/key)
+                  </label>
+                </div>
+              )}
+
+              {formData.endpoint.trim() && !formData.useSsl && window.location.protocol === 'https:' && (
+                <p className="text-sm text-warning">
+                  This page is served over HTTPS, so the browser will block requests to an HTTP endpoint.
+                </p>
+              )}
             </div>
+
+            <ConnectionDiagnostics
+              result={testResult}
+              onUseRegion={(region) => handleInputChange('region', region)}
+            />
+
+            {testResult?.success && (
+              <div className="space-y-2">
+                <h4 className="font-semibold text-gray-900">Permissions</h4>
+                <PermissionMatrix
+                  config={getEffectiveConfig()}
+                  permissions={formPermissions}
+                  onProbed={setFormPermissions}
+                />
+              </div>
+            )}
+
             <div className="flex gap-3 pt-4">
               <Button
                 onClick={handleTestConnection}
@@ -307,10 +747,11 @@ const handleSetActive = async (configId) => {
               
               <Button
                 onClick={handleSaveConfig}
+                loading={saving}
                 icon="Save"
                 variant="primary"
               >
-                Save Configuration
+                {editingConfig ? 'Test & Save Changes' : 'Save Configuration'}
               </Button>
 </div>
           </div>
@@ -344,8 +785,18 @@ const handleSetActive = async (configId) => {
                       )}
                     </div>
                     <p className="text-sm text-gray-600 mt-1">
-                      {config.bucketName} • {config.region}
+                      {config.bucketName} • {resolveEndpoint(config) || config.region}
+                      {config.permissions && (
+                        <span className={countDenied(config.permissions) > 0 ? 'text-warning' : 'text-success'}>
+                          {' '}• {countDenied(config.permissions) > 0 ? `${countDenied(config.permissions)} operation(s) denied` : 'All checked operations allowed'}
+                        </span>
+                      )}
                     </p>
+                    {config.updatedAt && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Updated {format(new Date(config.updatedAt), 'MMM dd, yyyy HH:mm')}
+                      </p>
+                    )}
                   </div>
                   
                   <div className="flex items-center gap-2">
@@ -360,6 +811,35 @@ const handleSetActive = async (configId) => {
                       </Button>
                     )}
                     
+                    <Button
+                      onClick={() => handleEditConfig(config)}
+                      variant="ghost"
+                      size="sm"
+                      icon="Pencil"
+                    >
+                      Edit
+                    </Button>
+
+                    {config.auditLog?.length > 0 && (
+                      <Button
+                        onClick={() => setHistoryConfigId(historyConfigId === config.Id ? null : config.Id)}
+                        variant="ghost"
+                        size="sm"
+                        icon="History"
+                      >
+                        History
+                      </Button>
+                    )}
+
+                    <Button
+                      onClick={() => setPermissionsConfigId(permissionsConfigId === config.Id ? null : config.Id)}
+                      variant="ghost"
+                      size="sm"
+                      icon="ShieldCheck"
+                    >
+                      Permissions
+                    </Button>
+
                     <Button
                       onClick={() => handleDeleteConfig(config.Id)}
                       variant="ghost"
@@ -369,11 +849,50 @@ const handleSetActive = async (configId) => {
                     />
                   </div>
                 </div>
+
+                {historyConfigId === config.Id && (
+                  <div className="mt-4 pt-4 border-t border-gray-200">
+                    <h5 className="text-sm font-semibold text-gray-900 mb-2">Change history</h5>
+                    <ul className="space-y-1 text-sm">
+                      {config.auditLog.map(entry => (
+                        <li key={entry.updatedAt} className="flex gap-3">
+                          <span className="w-36 flex-shrink-0 text-gray-500">
+                            {format(new Date(entry.updatedAt), 'MMM dd, yyyy HH:mm')}
+                          </span>
+                          <span className="text-gray-700">{entry.imported ? 'Imported' : describeChanges(entry.changes)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {permissionsConfigId === config.Id && (
+                  <PermissionMatrix
+                    config={config}
+                    permissions={config.permissions}
+                    onProbed={(permissions) => handleSavePermissions(config.Id, permissions)}
+                    className="mt-4 pt-4 border-t border-gray-200"
+                  />
+                )}
               </motion.div>
             ))}
           </div>
         </motion.div>
       )}
+
+      <AnimatePresence>
+        {showImport && (
+          <ConfigImportDialog
+            key="import"
+            existingNames={configs.map(config => config.name)}
+            onImported={handleImported}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+        {showExport && (
+          <ConfigExportDialog key="export" configs={configs} onClose={() => setShowExport(false)} />
+        )}
+      </AnimatePresence>
     </div>
   )
 }
@@ -0,0 +1,265 @@
+import React, { useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import ProgressBar from "@/components/atoms/ProgressBar";
+import FolderPicker from "@/components/molecules/FolderPicker";
+import TransferReport from "@/components/molecules/TransferReport";
+import bucketConfigService from "@/services/api/bucketConfigService";
+import s3WorkspaceService from "@/services/api/s3WorkspaceService";
+import transferService from "@/services/api/transferService";
+
+const statusIcons = {
+  queued: { icon: 'Clock', color: 'text-gray-400' },
+  copying: { icon: 'Loader2', color: 'text-aws-orange animate-spin' },
+  done: { icon: 'CheckCircle', color: 'text-success' },
+  failed: { icon: 'XCircle', color: 'text-error' },
+  cancelled: { icon: 'MinusCircle', color: 'text-gray-400' }
+}
+
+// targetConfigId/initialDestination preselect where the items go; move deletes each source
+// object once its copy has succeeded
+const CrossConfigCopyDialog = ({ items, sourceConfigId, targetConfigId, initialDestination = '', move = false, onClose, onComplete }) => {
+  const [configs, setConfigs] = useState([])
+  const [sourceId, setSourceId] = useState(sourceConfigId ?? null)
+  const [targetId, setTargetId] = useState(null)
+  const [destinationPath, setDestinationPath] = useState(initialDestination)
+  const [mode, setMode] = useState('auto')
+  const [tasks, setTasks] = useState([])
+  const [running, setRunning] = useState(false)
+  const [report, setReport] = useState(null)
+  const abortRef = useRef(null)
+
+  useEffect(() => {
+    loadConfigs()
+    return () => abortRef.current?.abort()
+  }, [])
+
+  const loadConfigs = async () => {
+    try {
+      const [allConfigs, active] = await Promise.all([
+        bucketConfigService.getAll(),
+        bucketConfigService.getActive()
+      ])
+      const resolvedSourceId = sourceConfigId ?? active?.Id ?? null
+      setConfigs(allConfigs)
+      setSourceId(resolvedSourceId)
+      setTargetId(targetConfigId ?? allConfigs.find(c => c.Id !== resolvedSourceId)?.Id ?? null)
+    } catch (err) {
+      toast.error(`Failed to load configurations: ${err.message}`)
+    }
+  }
+
+  const targetService = targetId !== null ? s3WorkspaceService.getService(targetId) : null
+
+  const sourceConfig = configs.find(c => c.Id === sourceId)
+  const verb = move ? 'Move' : 'Copy'
+  const completed = tasks.filter(t => t.status === 'done' || t.status === 'failed').length
+
+  const handleStart = async () => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setRunning(true)
+    setReport(null)
+    setTasks([])
+
+    try {
+      const result = await transferService.copyBetweenConfigs({
+        sourceConfigId: sourceId,
+        targetConfigId: targetId,
+        items,
+        destinationPath,
+        mode,
+        deleteSource: move,
+        signal: controller.signal,
+        onPlan: setTasks,
+        onTaskUpdate: (index, task) => setTasks(prev => {
+          const next = [...prev]
+          next[index] = task
+          return next
+        })
+      })
+      setReport(result)
+
+      if (result.failed.length === 0 && !result.cancelled) {
+        toast.success(`${move ? 'Moved' : 'Copied'} ${result.total} object(s)`)
+      } else {
+        toast.warning(`${verb} finished with ${result.failed.length} failure(s)`)
+      }
+      onComplete?.(result)
+    } catch (err) {
+      toast.error(`${verb} failed: ${err.message}`)
+    } finally {
+      abortRef.current = null
+      setRunning(false)
+    }
+  }
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes'
+    const k = 1024
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+  }
+
+  const started = running || report || tasks.length > 0
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={() => !running && onClose?.()}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.8, opacity: 0 }}
+        className="bg-white rounded-lg max-w-2xl w-full mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold">{verb} {items.length} item(s) to another bucket</h3>
+            {sourceConfig && (
+              <p className="text-sm text-gray-600">From {sourceConfig.name} ({sourceConfig.bucketName})</p>
+            )}
+          </div>
+          <Button
+            onClick={onClose}
+            variant="ghost"
+            size="sm"
+            icon="X"
+            disabled={running}
+          />
+        </div>
+
+        <div className="p-4 space-y-4 overflow-y-auto">
+          {!started && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">Target configuration</label>
+                  <select
+                    value={targetId ?? ''}
+                    onChange={(e) => {
+                      setTargetId(Number(e.target.value))
+                      setDestinationPath('')
+                    }}
+                    className="input-field"
+                  >
+                    {configs.map(config => (
+                      <option key={config.Id} value={config.Id}>
+                        {config.name} ({config.bucketName})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">Copy method</label>
+                  <select
+                    value={mode}
+                    onChange={(e) => setMode(e.target.value)}
+                    className="input-field"
+                  >
+                    <option value="auto">Server-side when allowed, else stream</option>
+                    <option value="server">Server-side CopyObject only</option>
+                    <option value="stream">Stream through the browser</option>
+                  </select>
+                </div>
+              </div>
+
+              {targetService && (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">Destination folder</label>
+                  <FolderPicker
+                    service={targetService}
+                    value={destinationPath}
+                    onChange={setDestinationPath}
+                  />
+                  <p className="text-sm text-gray-600">
+                    Destination: <span className="font-medium">/{destinationPath}</span>
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+
+          {started && (
+            <div className="space-y-3">
+              <ProgressBar
+                value={completed}
+                max={Math.max(tasks.length, 1)}
+                showLabel
+                label={tasks.length ? `${completed} of ${tasks.length} objects` : 'Listing objects...'}
+              />
+
+              <div className="border border-gray-200 rounded-lg max-h-72 overflow-y-auto divide-y divide-gray-100">
+                {tasks.map(task => {
+                  const status = statusIcons[task.status] || statusIcons.queued
+                  return (
+                    <div key={task.sourceKey} className="flex items-center gap-3 px-3 py-2 text-sm">
+                      <ApperIcon name={status.icon} className={`w-4 h-4 flex-shrink-0 ${status.color}`} />
+                      <div className="flex-1 min-w-0">
+                        <p className="truncate text-gray-900" title={task.destinationKey}>{task.destinationKey}</p>
+                        {task.error && <p className="text-xs text-error truncate" title={task.error}>{task.error}</p>}
+                      </div>
+                      {task.method && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                          {task.method === 'server' ? 'server-side' : 'streamed'}
+                        </span>
+                      )}
+                      <span className="text-xs text-gray-500 w-20 text-right">{formatFileSize(task.size)}</span>
+                    </div>
+                  )
+                })}
+              </div>
+            </div>
+          )}
+
+          {report && (
+            <div className="space-y-2">
+              <TransferReport report={report} verb={move ? 'Moved' : 'Copied'} />
+              <p className="text-xs text-gray-500">
+                {report.serverSide} copied server-side • {report.streamed} streamed through the browser
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
+          {running ? (
+            <Button onClick={() => abortRef.current?.abort()} variant="danger" size="sm" icon="Square">
+              Cancel
+            </Button>
+          ) : report ? (
+            <Button onClick={onClose} variant="primary" size="sm">
+              Close
+            </Button>
+          ) : (
+            <>
+              <Button onClick={onClose} variant="ghost" size="sm">
+                Cancel
+              </Button>
+              <Button
+                onClick={handleStart}
+                variant="primary"
+                size="sm"
+                icon={move ? 'FolderInput' : 'Copy'}
+                disabled={targetId === null || sourceId === null}
+              >
+                Start {verb.toLowerCase()}
+              </Button>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default CrossConfigCopyDialog
@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import ProgressBar from "@/components/atoms/ProgressBar";
+import downloadQueueService from "@/services/api/downloadQueueService";
+
+const statusLabels = {
+  queued: 'Queued',
+  downloading: 'Downloading...',
+  paused: 'Paused',
+  cancelled: 'Cancelled'
+}
+
+const DownloadsPanel = ({ className = "" }) => {
+  const [queue, setQueue] = useState(() => downloadQueueService.getSnapshot())
+
+  useEffect(() => downloadQueueService.subscribe(setQueue), [])
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes'
+    const k = 1024
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+  }
+
+  const getLabel = (task) => {
+    if (task.status === 'error') return task.error
+    if (task.status === 'completed') return task.mode === 'browser' ? 'Handed to browser' : 'Saved'
+    return statusLabels[task.status]
+  }
+
+  const hasFinished = queue.tasks.some(task => ['completed', 'cancelled'].includes(task.status))
+
+  if (queue.tasks.length === 0) return null
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Downloads</h3>
+        {hasFinished && (
+          <Button onClick={() => downloadQueueService.clearFinished()} variant="ghost" size="sm" icon="ListX">
+            Clear finished
+          </Button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <AnimatePresence>
+          {queue.tasks.map(task => (
+            <motion.div
+              key={task.id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              className="card p-4"
+            >
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 truncate" title={task.key}>{task.name}</p>
+                  <p className="text-sm text-gray-600">
+                    {task.mode === 'disk' ? `${formatFileSize(task.loadedBytes)} of ${formatFileSize(task.size)}` : formatFileSize(task.size)}
+                    {task.status === 'downloading' && task.speed > 0 && (
+                      <span className="ml-2">• {task.speed.toFixed(1)} MB/s</span>
+                    )}
+                  </p>
+                </div>
+
+                <div className="flex items-center gap-2 ml-4">
+                  {task.status === 'completed' && (
+                    <ApperIcon name="CheckCircle" className="w-5 h-5 text-success" />
+                  )}
+
+                  {task.mode === 'disk' && ['downloading', 'queued'].includes(task.status) && (
+                    <Button onClick={() => downloadQueueService.pause(task.id)} variant="ghost" size="sm" icon="Pause" />
+                  )}
+
+                  {['paused', 'error'].includes(task.status) && (
+                    <Button onClick={() => downloadQueueService.resume(task.id)} variant="ghost" size="sm" icon={task.status === 'error' ? 'RefreshCw' : 'Play'}>
+                      {task.status === 'error' ? 'Retry' : 'Resume'}
+                    </Button>
+                  )}
+
+                  {['downloading', 'queued', 'paused', 'error'].includes(task.status) && (
+                    <Button
+                      onClick={() => downloadQueueService.cancel(task.id)}
+                      variant="ghost"
+                      size="sm"
+                      icon="X"
+                      className="text-error hover:text-error"
+                    />
+                  )}
+
+                  {['completed', 'cancelled'].includes(task.status) && (
+                    <Button onClick={() => downloadQueueService.remove(task.id)} variant="ghost" size="sm" icon="Trash2" />
+                  )}
+                </div>
+              </div>
+
+              {task.mode === 'disk' && task.status !== 'completed' ? (
+                <ProgressBar
+                  value={task.progress}
+                  variant={task.status === 'error' ? 'error' : task.status === 'paused' ? 'warning' : 'primary'}
+                  showLabel
+                  label={getLabel(task)}
+                />
+              ) : (
+                <p className={`text-sm ${task.status === 'error' ? 'text-error' : 'text-gray-600'}`}>{getLabel(task)}</p>
+              )}
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      </div>
+    </div>
+  )
+}
+
+export default DownloadsPanel
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { AnimatePresence, motion } from "framer-motion";
 import { toast } from "react-toastify";
 import { format } from "date-fns";
@@ -8,16 +8,49 @@ import ApperIcon from "@/components/ApperIcon";
 import Input from "@/components/atoms/Input";
 import Button from "@/components/atoms/Button";
 import SearchBar from "@/components/molecules/SearchBar";
+import SearchFilters from "@/components/molecules/SearchFilters";
 import FileTypeIcon from "@/components/molecules/FileTypeIcon";
+import FolderPicker from "@/components/molecules/FolderPicker";
+import TransferReport from "@/components/molecules/TransferReport";
 import Error from "@/components/ui/Error";
 import Empty from "@/components/ui/Empty";
 import Loading from "@/components/ui/Loading";
+import CrossConfigCopyDialog from "@/components/organisms/CrossConfigCopyDialog";
+import VersionHistoryPanel from "@/components/organisms/VersionHistoryPanel";
+import ObjectDetailsPanel from "@/components/organisms/ObjectDetailsPanel";
+import bucketConfigService, { hasPermission } from "@/services/api/bucketConfigService";
 import s3Service from "@/services/api/s3Service";
+import downloadQueueService from "@/services/api/downloadQueueService";
+import zipService from "@/services/api/zipService";
+
+// Marks drags that carry FileBrowser rows, so file drops from the desktop are ignored
+const DRAG_MIME_TYPE = 'application/x-s3-vault-keys'
+// Drag data can only be read on drop, so the source browser is also named in a data type,
+// which dragover can see
+const dragSourceType = (sourceId) => `application/x-s3-vault-source-${sourceId ?? 'default'}`
 
 // Set up PDF.js worker
 pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`
 
-const FileBrowser = ({ currentPath = '', onPathChange, onRefresh, className = "" }) => {
+// service/configId bind the browser to one configuration's bucket; without them it follows the active one.
+// The dual-pane view also passes dragSourceId (rows dropped from another browser go to onExternalDrop),
+// compareWith (a compareListings result to highlight), loadAll (page through the whole folder, which
+// onFilesLoaded then reports as complete) and refreshKey (bump to reload in place).
+const FileBrowser = ({
+  currentPath = '',
+  onPathChange,
+  onRefresh,
+  service = s3Service,
+  configId = null,
+  dragSourceId = null,
+  onExternalDrop,
+  onSelectionChange,
+  onFilesLoaded,
+  compareWith = null,
+  loadAll = false,
+  refreshKey = 0,
+  className = ""
+}) => {
   const [files, setFiles] = useState([])
   const [filteredFiles, setFilteredFiles] = useState([])
   const [loading, setLoading] = useState(true)
@@ -30,6 +63,39 @@ const FileBrowser = ({ currentPath = '', onPathChange, onRefresh, className = ""
   const [showPreview, setShowPreview] = useState(false)
   const [shareModalFile, setShareModalFile] = useState(null)
   const [showShareModal, setShowShareModal] = useState(false)
+  const [nextToken, setNextToken] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [loadMoreFailed, setLoadMoreFailed] = useState(false)
+  const loadMoreRef = useRef(null)
+  const listRequestRef = useRef(0)
+  const [showBucketSearch, setShowBucketSearch] = useState(false)
+  const [searchActive, setSearchActive] = useState(false)
+  const [searchRunning, setSearchRunning] = useState(false)
+  const [searchResults, setSearchResults] = useState([])
+  const [searchProgress, setSearchProgress] = useState({ scanned: 0, matched: 0 })
+  const searchAbortRef = useRef(null)
+  const [moveTargets, setMoveTargets] = useState(null)
+  const [moveDestination, setMoveDestination] = useState('')
+  const [operation, setOperation] = useState(null)
+  const operationAbortRef = useRef(null)
+  const [dropTarget, setDropTarget] = useState(null)
+  const [copyTargets, setCopyTargets] = useState(null)
+  const [historyFile, setHistoryFile] = useState(null)
+  const [detailsFile, setDetailsFile] = useState(null)
+  const [showDeleted, setShowDeleted] = useState(false)
+  const [deletedFiles, setDeletedFiles] = useState([])
+  const [permissions, setPermissions] = useState(null)
+
+  // Hide what a permission probe showed the credentials can't do
+  const canRead = hasPermission(permissions, 'read')
+  const canDelete = hasPermission(permissions, 'delete')
+  const canMove = hasPermission(permissions, 'write') && canDelete
+  const canUseVersions = hasPermission(permissions, 'versioning')
+
+  // Bucket search results replace the folder listing while a search is active
+  const sourceFiles = searchActive
+    ? searchResults
+    : (showDeleted ? [...files, ...deletedFiles] : files)
 
   // Handler functions for preview and share
   const handlePreview = (file) => {
@@ -42,32 +108,183 @@ const FileBrowser = ({ currentPath = '', onPathChange, onRefresh, className = ""
     setShowShareModal(true)
   }
   useEffect(() => {
+    clearBucketSearch()
     loadFiles()
   }, [currentPath])
 
+  useEffect(() => {
+    return () => searchAbortRef.current?.abort()
+  }, [])
+
+  useEffect(() => {
+    if (refreshKey) loadFiles({ background: true })
+  }, [refreshKey])
+
+  useEffect(() => {
+    onFilesLoaded?.(files, { complete: !loading && !nextToken })
+  }, [files, nextToken, loading])
+
+  useEffect(() => {
+    onSelectionChange?.(getSelectedItems())
+  }, [selectedFiles])
+
+  useEffect(() => {
+    const loadConfig = () => (configId !== null ? bucketConfigService.getById(configId) : bucketConfigService.getActive())
+    const loadPermissions = () => loadConfig()
+      .then(config => setPermissions(config?.permissions || null))
+      .catch(err => console.warn('Failed to load permissions:', err))
+
+    loadPermissions()
+    return bucketConfigService.subscribe(() => loadPermissions())
+  }, [configId])
+
   useEffect(() => {
     filterAndSortFiles()
-  }, [files, searchQuery, sortBy, sortOrder])
+  }, [files, deletedFiles, showDeleted, searchResults, searchActive, searchQuery, sortBy, sortOrder])
+
+  useEffect(() => {
+    if (showDeleted) {
+      loadDeletedFiles()
+    } else {
+      setDeletedFiles([])
+    }
+  }, [showDeleted, currentPath])
+
+  // Infinite scroll: fetch the next page when the sentinel below the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current
+    if (!sentinel || !nextToken || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreFiles()
+      }
+    }, { rootMargin: '200px' })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextToken, loadingMore, loading])
+
+  // A failed page stops the loop; the Load more button retries it
+  useEffect(() => {
+    if (loadAll && nextToken && !loading && !loadingMore && !loadMoreFailed) loadMoreFiles()
+  }, [loadAll, nextToken, loading, loadingMore, loadMoreFailed])
+
+  // background: refresh in place without swapping the list for the loading skeleton
+  const loadFiles = async ({ background = false } = {}) => {
+    const requestId = ++listRequestRef.current
+    // A load-more still running for the previous listing is discarded and must not block paging this one
+    setLoadingMore(false)
+    setLoadMoreFailed(false)
 
-  const loadFiles = async () => {
     try {
-      setLoading(true)
+      if (!background) setLoading(true)
       setError(null)
-      const fileList = await s3Service.listFiles(currentPath)
-      setFiles(fileList)
+      const page = await service.listFilesPage(currentPath)
+      if (requestId !== listRequestRef.current) return
+
+      setFiles(page.items)
+      setNextToken(page.nextToken)
       setSelectedFiles(new Set())
     } catch (err) {
-      setError(err.message)
+      if (requestId === listRequestRef.current) setError(err.message)
     } finally {
-      setLoading(false)
+      if (requestId === listRequestRef.current) setLoading(false)
     }
   }
 
+  // Deleted objects only exist as delete markers, which a plain listing never returns
+  const loadDeletedFiles = async () => {
+    try {
+      setDeletedFiles(await service.listDeletedFiles(currentPath))
+    } catch (err) {
+      setDeletedFiles([])
+      toast.error(err.message)
+    }
+  }
+
+  const handleVersionsChanged = () => {
+    loadFiles({ background: true })
+    if (showDeleted) loadDeletedFiles()
+    onRefresh?.()
+  }
+
+  const loadMoreFiles = async () => {
+    if (!nextToken || loadingMore) return
+    const requestId = listRequestRef.current
+
+    try {
+      setLoadingMore(true)
+      setLoadMoreFailed(false)
+      const page = await service.listFilesPage(currentPath, { continuationToken: nextToken })
+      if (requestId !== listRequestRef.current) return
+
+      setFiles(prev => {
+        const loadedKeys = new Set(prev.map(f => f.key))
+        return [...prev, ...page.items.filter(f => !loadedKeys.has(f.key))]
+      })
+      setNextToken(page.nextToken)
+    } catch (err) {
+      if (requestId === listRequestRef.current) setLoadMoreFailed(true)
+      toast.error(`Failed to load more files: ${err.message}`)
+    } finally {
+      if (requestId === listRequestRef.current) setLoadingMore(false)
+    }
+  }
+
+  const runBucketSearch = async (filters) => {
+    searchAbortRef.current?.abort()
+    const controller = new AbortController()
+    searchAbortRef.current = controller
+
+    setSearchActive(true)
+    setSearchRunning(true)
+    setSearchResults([])
+    setSearchProgress({ scanned: 0, matched: 0 })
+    setSelectedFiles(new Set())
+
+    try {
+      await service.searchFiles(filters.query, currentPath, {
+        filters,
+        signal: controller.signal,
+        onResults: (batch) => {
+          if (!controller.signal.aborted) setSearchResults(prev => [...prev, ...batch])
+        },
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) setSearchProgress(progress)
+        }
+      })
+    } catch (err) {
+      toast.error(err.message)
+    } finally {
+      if (searchAbortRef.current === controller) {
+        searchAbortRef.current = null
+        setSearchRunning(false)
+      }
+    }
+  }
+
+  const cancelBucketSearch = () => {
+    searchAbortRef.current?.abort()
+    searchAbortRef.current = null
+    setSearchRunning(false)
+    toast.info('Search cancelled')
+  }
+
+  const clearBucketSearch = () => {
+    searchAbortRef.current?.abort()
+    searchAbortRef.current = null
+    setSearchRunning(false)
+    setSearchActive(false)
+    setSearchResults([])
+    setSearchProgress({ scanned: 0, matched: 0 })
+  }
+
   const filterAndSortFiles = () => {
-    let filtered = [...files]
+    let filtered = [...sourceFiles]
 
     // Apply search filter
-    if (searchQuery) {
+    if (searchQuery && !searchActive) {
       filtered = filtered.filter(file =>
         file.name.toLowerCase().includes(searchQuery.toLowerCase())
       )
@@ -110,6 +327,10 @@ const FileBrowser = ({ currentPath = '', onPathChange, onRefresh, className = ""
   const handleFileClick = (file) => {
     if (file.isFolder) {
       onPathChange?.(file.key)
+    } else if (file.isDeleted) {
+      setHistoryFile(file)
+    } else {
+      setDetailsFile(file)
     }
   }
 
@@ -124,45 +345,92 @@ const FileBrowser = ({ currentPath = '', onPathChange, onRefresh, className = ""
   }
 
   const handleSelectAll = () => {
-    if (selectedFiles.size === filteredFiles.length) {
+    const selectable = filteredFiles.filter(f => !f.isDeleted)
+    if (selectedFiles.size === selectable.length) {
       setSelectedFiles(new Set())
     } else {
-      setSelectedFiles(new Set(filteredFiles.map(f => f.key)))
+      setSelectedFiles(new Set(selectable.map(f => f.key)))
+    }
+  }
+
+  // Ask for the target file up front (the picker needs the click's user activation), then
+  // let the download manager stream into it; browsers without the picker get a presigned link
+  const handleDownload = async (file) => {
+    let handle = null
+
+    if (window.showSaveFilePicker) {
+      try {
+        handle = await window.showSaveFilePicker({ suggestedName: file.name })
+      } catch (err) {
+        if (err.name === 'AbortError') return
+        console.warn('Save picker unavailable, falling back to browser download:', err)
+      }
+    }
+
+    downloadQueueService.enqueue({ key: file.key, name: file.name, size: file.size }, { handle, service })
+    toast.info(`Downloading ${file.name}`)
+  }
+
+  // Same picker rule as single downloads: it must open straight from the click
+  const handleDownloadZip = async (items) => {
+    if (items.length === 0) return
+
+    const label = items.length === 1 ? items[0].name : `${items.length} selected items`
+    const archiveName = `${items.length === 1 ? items[0].name : (currentPath.split('/').pop() || 'download')}.zip`
+    let handle = null
+
+    if (window.showSaveFilePicker) {
+      try {
+        handle = await window.showSaveFilePicker({
+          suggestedName: archiveName,
+          types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+        })
+      } catch (err) {
+        if (err.name === 'AbortError') return
+        console.warn('Save picker unavailable, building the archive in memory:', err)
+      }
     }
+
+    runOperation(`Download ${label} as ZIP`, 'Zipped', (options) =>
+      zipService.downloadAsZip(items, { ...options, basePath: currentPath, handle, archiveName, service })
+    )
   }
 
-  const handleDownload = async (fileKey, fileName) => {
+  // Count everything under the selection first so the confirm dialog shows the real scope
+  const confirmDeletePreview = async (items, label) => {
     try {
-      const downloadInfo = await s3Service.downloadFile(fileKey)
-      
-      // Create download link
-      const link = document.createElement('a')
-      link.href = downloadInfo.url
-      link.download = downloadInfo.filename
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      
-      // Clean up blob URL
-      setTimeout(() => URL.revokeObjectURL(downloadInfo.url), 100)
-      
-      toast.success(`Downloaded ${fileName}`)
+      const preview = await service.deleteItems(items, { dryRun: true })
+      if (preview.total === 0) {
+        toast.info(`${label} is already empty`)
+        return false
+      }
+      return window.confirm(
+        `Are you sure you want to delete ${label}?\n\nThis permanently removes ${preview.total} object(s) totalling ${preview.totalSize ? formatFileSize(preview.totalSize) : '0 Bytes'}.`
+      )
     } catch (err) {
-      toast.error(`Failed to download ${fileName}: ${err.message}`)
+      toast.error(`Failed to count objects: ${err.message}`)
+      return false
     }
   }
 
   const handleDelete = async (fileKey, fileName, isFolder = false) => {
+    if (isFolder) {
+      const items = [{ key: fileKey, isFolder: true }]
+      if (!await confirmDeletePreview(items, fileName)) return
+
+      runOperation(`Delete ${fileName}`, 'Deleted', (options) =>
+        service.deleteItems(items, options)
+      )
+      return
+    }
+
     if (!window.confirm(`Are you sure you want to delete ${fileName}?`)) return
 
     try {
-      if (isFolder) {
-        await s3Service.deleteFolder(fileKey)
-      } else {
-        await s3Service.deleteFile(fileKey)
-      }
+      await service.deleteFile(fileKey)
       
       toast.success(`Deleted ${fileName}`)
+      setSearchResults(prev => prev.filter(f => f.key !== fileKey))
       loadFiles()
       onRefresh?.()
     } catch (err) {
@@ -171,32 +439,153 @@ const FileBrowser = ({ currentPath = '', onPathChange, onRefresh, className = ""
   }
 
   const handleBulkDelete = async () => {
-    if (selectedFiles.size === 0) return
-    
-    const fileNames = Array.from(selectedFiles).map(key => 
-      files.find(f => f.key === key)?.name
-    ).join(', ')
-    
-    if (!window.confirm(`Are you sure you want to delete ${selectedFiles.size} file(s)?\n\n${fileNames}`)) return
+    const items = getSelectedItems()
+    if (items.length === 0) return
+
+    const label = items.length === 1 ? items[0].name : `${items.length} selected items`
+    if (!await confirmDeletePreview(items, label)) return
+
+    runOperation(`Delete ${label}`, 'Deleted', (options) =>
+      service.deleteItems(items, options)
+    )
+  }
+
+  // Runs a multi-object operation (move, rename, ...) and tracks its progress and final report
+  const runOperation = async (title, verb, execute) => {
+    const controller = new AbortController()
+    operationAbortRef.current = controller
+    setOperation({ title, verb, running: true, progress: null, report: null })
 
     try {
-      const deletePromises = Array.from(selectedFiles).map(async (fileKey) => {
-        const file = files.find(f => f.key === fileKey)
-        if (file?.isFolder) {
-          await s3Service.deleteFolder(fileKey)
-        } else {
-          await s3Service.deleteFile(fileKey)
-        }
+      const report = await execute({
+        signal: controller.signal,
+        onProgress: (progress) => setOperation(prev => prev && { ...prev, progress })
       })
+      setOperation(prev => prev && { ...prev, running: false, report })
 
-      await Promise.all(deletePromises)
-      toast.success(`Deleted ${selectedFiles.size} file(s)`)
+      if (report.failed.length === 0 && !report.cancelled) {
+        toast.success(`${verb} ${report.total} object(s)`)
+      } else {
+        toast.warning(`${title} stopped early: ${report.failed.length} failed, ${report.notAttempted.length} not attempted`)
+      }
+    } catch (err) {
+      setOperation(null)
+      toast.error(`${title} failed: ${err.message}`)
+    } finally {
+      operationAbortRef.current = null
       setSelectedFiles(new Set())
-      loadFiles()
+      clearBucketSearch()
+      loadFiles({ background: true })
       onRefresh?.()
+    }
+  }
+
+  const handleRename = (file) => {
+    const newName = window.prompt(`Rename ${file.name} to:`, file.name)
+    if (newName === null || newName.trim() === file.name) return
+
+    runOperation(`Rename ${file.name}`, 'Renamed', (options) =>
+      service.renameItem(file, newName, options)
+    )
+  }
+
+  const getSelectedItems = () => Array.from(selectedFiles)
+    .map(key => sourceFiles.find(f => f.key === key))
+    .filter(Boolean)
+
+  const openMoveDialog = () => {
+    const targets = getSelectedItems()
+    if (targets.length === 0) return
+
+    setMoveDestination(currentPath)
+    setMoveTargets(targets)
+  }
+
+  const openCopyDialog = () => {
+    const targets = getSelectedItems()
+    if (targets.length > 0) setCopyTargets(targets)
+  }
+
+  // Confirm overwrites before moving anything that already exists at the destination
+  const moveWithConflictCheck = async (targets, destination) => {
+    try {
+      const conflicts = await service.findConflicts(targets, destination)
+      if (conflicts.length > 0 && !window.confirm(
+        `${conflicts.length} item(s) already exist in /${destination} and will be overwritten:\n\n${conflicts.join(', ')}\n\nContinue?`
+      )) return
     } catch (err) {
-      toast.error(`Failed to delete files: ${err.message}`)
+      toast.error(`Failed to check destination: ${err.message}`)
+      return
     }
+
+    runOperation(`Move ${targets.length} item(s)`, 'Moved', (options) =>
+      service.moveItems(targets, destination, options)
+    )
+  }
+
+  const handleMoveConfirm = () => {
+    const targets = moveTargets
+    setMoveTargets(null)
+    moveWithConflictCheck(targets, moveDestination)
+  }
+
+  // Drag a row, or the whole selection when the dragged row is part of it. The items travel with
+  // the keys so a browser in the other pane can transfer them without this listing.
+  const handleRowDragStart = (e, file) => {
+    const items = selectedFiles.has(file.key) ? getSelectedItems() : [file]
+    e.dataTransfer.setData(DRAG_MIME_TYPE, JSON.stringify({
+      sourceId: dragSourceId,
+      keys: items.map(item => item.key),
+      items
+    }))
+    e.dataTransfer.setData(dragSourceType(dragSourceId), '')
+    e.dataTransfer.effectAllowed = 'copyMove'
+  }
+
+  const handleDropTargetOver = (e, path) => {
+    if (!e.dataTransfer.types.includes(DRAG_MIME_TYPE)) return
+    e.preventDefault()
+    // Rows from the other pane are copied unless Shift is held; rows from this browser are moved
+    const external = !e.dataTransfer.types.includes(dragSourceType(dragSourceId))
+    e.dataTransfer.dropEffect = external && !e.shiftKey ? 'copy' : 'move'
+    if (dropTarget !== path) setDropTarget(path)
+  }
+
+  const handleDropTargetLeave = (e, path) => {
+    if (e.currentTarget.contains(e.relatedTarget)) return
+    if (dropTarget === path) setDropTarget(null)
+  }
+
+  const handleDropOnPath = (e, destination) => {
+    e.preventDefault()
+    setDropTarget(null)
+
+    let payload
+    try {
+      payload = JSON.parse(e.dataTransfer.getData(DRAG_MIME_TYPE) || '{}')
+    } catch {
+      return
+    }
+
+    if ((payload.sourceId ?? null) !== dragSourceId) {
+      // Shift moves, like a file manager; a plain drop copies
+      onExternalDrop?.(payload.sourceId, payload.items || [], destination, { move: e.shiftKey })
+      return
+    }
+    if (!canMove) return
+
+    const targets = (payload.keys || [])
+      .map(key => sourceFiles.find(f => f.key === key))
+      .filter(Boolean)
+      .filter(f => f.key !== destination && f.key.split('/').slice(0, -1).join('/') !== destination)
+
+    if (targets.some(f => f.isFolder && destination.startsWith(`${f.key}/`))) {
+      toast.error('A folder cannot be moved into itself')
+      return
+    }
+    if (targets.length === 0) return
+
+    moveWithConflictCheck(targets, destination)
   }
 
   const handleSort = (column) => {
@@ -236,7 +625,7 @@ const getBreadcrumbs = () => {
   }
 
   if (loading) return <Loading type="files" />
-  if (error) return <Error message={error} onRetry={loadFiles} />
+  if (error) return <Error message={error} onRetry={() => loadFiles()} />
 
   return (
     <div className={`space-y-6 ${className}`}>
@@ -246,7 +635,12 @@ const getBreadcrumbs = () => {
           <nav className="flex items-center space-x-2 text-sm">
             <button
               onClick={() => onPathChange?.('')}
-              className="hover:text-aws-blue transition-colors"
+              onDragOver={(e) => handleDropTargetOver(e, '')}
+              onDragLeave={(e) => handleDropTargetLeave(e, '')}
+              onDrop={(e) => handleDropOnPath(e, '')}
+              className={`hover:text-aws-blue transition-colors rounded px-1 ${
+                dropTarget === '' ? 'bg-aws-blue/10 ring-2 ring-aws-blue' : ''
+              }`}
             >
               Root
             </button>
@@ -255,7 +649,12 @@ const getBreadcrumbs = () => {
                 <ApperIcon name="ChevronRight" className="w-4 h-4" />
                 <button
                   onClick={() => onPathChange?.(crumb.path)}
-                  className="hover:text-aws-blue transition-colors"
+                  onDragOver={(e) => handleDropTargetOver(e, crumb.path)}
+                  onDragLeave={(e) => handleDropTargetLeave(e, crumb.path)}
+                  onDrop={(e) => handleDropOnPath(e, crumb.path)}
+                  className={`hover:text-aws-blue transition-colors rounded px-1 ${
+                    dropTarget === crumb.path ? 'bg-aws-blue/10 ring-2 ring-aws-blue' : ''
+                  }`}
                 >
                   {crumb.name}
                 </button>
@@ -265,7 +664,40 @@ const getBreadcrumbs = () => {
         </div>
 
         <div className="flex items-center gap-3">
-          {selectedFiles.size > 0 && (
+          {selectedFiles.size > 0 && canMove && (
+            <Button
+              onClick={openMoveDialog}
+              variant="outline"
+              size="sm"
+              icon="FolderInput"
+            >
+              Move to... ({selectedFiles.size})
+            </Button>
+          )}
+
+          {selectedFiles.size > 0 && canRead && (
+            <Button
+              onClick={openCopyDialog}
+              variant="outline"
+              size="sm"
+              icon="Copy"
+            >
+              Copy to bucket...
+            </Button>
+          )}
+
+          {selectedFiles.size > 0 && canRead && (
+            <Button
+              onClick={() => handleDownloadZip(getSelectedItems())}
+              variant="outline"
+              size="sm"
+              icon="FileArchive"
+            >
+              Download ZIP
+            </Button>
+          )}
+
+          {selectedFiles.size > 0 && canDelete && (
             <Button
               onClick={handleBulkDelete}
               variant="danger"
@@ -276,8 +708,22 @@ const getBreadcrumbs = () => {
             </Button>
           )}
           
+          {canUseVersions && (
+            <Button
+              onClick={() => setShowDeleted(!showDeleted)}
+              variant={showDeleted ? 'secondary' : 'ghost'}
+              size="sm"
+              icon="ArchiveRestore"
+            >
+              {showDeleted ? 'Hide deleted' : 'Show deleted'}
+            </Button>
+          )}
+
           <Button
-            onClick={loadFiles}
+            onClick={() => {
+              loadFiles()
+              if (showDeleted) loadDeletedFiles()
+            }}
             variant="outline"
             size="sm"
             icon="RefreshCw"
@@ -292,11 +738,20 @@ const getBreadcrumbs = () => {
         <div className="flex-1">
           <SearchBar
             onSearch={setSearchQuery}
-            placeholder="Search files and folders..."
+            placeholder={searchActive ? "Use the filters below to search the bucket" : "Filter this folder..."}
           />
         </div>
         
         <div className="flex items-center gap-3">
+          <Button
+            onClick={() => setShowBucketSearch(!showBucketSearch)}
+            variant={showBucketSearch ? 'secondary' : 'outline'}
+            size="sm"
+            icon="SlidersHorizontal"
+          >
+            Search bucket
+          </Button>
+
           <select
             value={`${sortBy}-${sortOrder}`}
             onChange={(e) => {
@@ -316,13 +771,64 @@ const getBreadcrumbs = () => {
         </div>
       </div>
 
+      {/* Bucket Search */}
+      <AnimatePresence>
+        {showBucketSearch && (
+          <SearchFilters
+            onSearch={runBucketSearch}
+            onCancel={cancelBucketSearch}
+            onClear={clearBucketSearch}
+            running={searchRunning}
+            active={searchActive}
+          />
+        )}
+      </AnimatePresence>
+
+      {searchActive && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <div className="flex items-center gap-2">
+            {searchRunning && (
+              <motion.div
+                animate={{ rotate: 360 }}
+                transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+              >
+                <ApperIcon name="Loader2" className="w-4 h-4 text-aws-orange" />
+              </motion.div>
+            )}
+            <span>
+              {searchRunning ? 'Searching' : 'Searched'} /{currentPath} • {searchProgress.scanned} objects scanned • {searchProgress.matched} matches
+            </span>
+          </div>
+          {!searchRunning && (
+            <button onClick={clearBucketSearch} className="hover:text-aws-blue transition-colors">
+              Back to folder
+            </button>
+          )}
+        </div>
+      )}
+
       {/* File List */}
       {filteredFiles.length === 0 ? (
-        <Empty
-          type={searchQuery ? 'search' : 'files'}
-          message={searchQuery ? 'No files match your search' : 'This folder is empty'}
-          description={searchQuery ? 'Try adjusting your search terms' : 'Upload some files to get started'}
-        />
+        <div>
+          <Empty
+            type={searchQuery || searchActive ? 'search' : 'files'}
+            message={searchQuery || searchActive ? 'No files match your search' : 'This folder is empty'}
+            description={searchQuery || searchActive ? 'Try adjusting your search terms' : 'Upload some files to get started'}
+          />
+          {nextToken && !searchActive && (
+            <div className="flex justify-center">
+              <Button
+                onClick={loadMoreFiles}
+                loading={loadingMore}
+                variant="outline"
+                size="sm"
+                icon="ChevronsDown"
+              >
+                Load more
+              </Button>
+            </div>
+          )}
+        </div>
       ) : (
         <div className="card overflow-hidden">
           {/* Table Header */}
@@ -331,7 +837,7 @@ const getBreadcrumbs = () => {
               <div className="flex items-center mr-4">
                 <input
                   type="checkbox"
-                  checked={filteredFiles.length > 0 && selectedFiles.size === filteredFiles.length}
+                  checked={selectedFiles.size > 0 && selectedFiles.size === filteredFiles.filter(f => !f.isDeleted).length}
                   onChange={handleSelectAll}
                   className="rounded border-gray-300 text-aws-orange focus:ring-aws-orange"
                 />
@@ -391,96 +897,337 @@ const getBreadcrumbs = () => {
           {/* File Rows */}
           <div className="divide-y divide-gray-200">
             <AnimatePresence>
-              {filteredFiles.map((file, index) => (
-                <motion.div
-                  key={file.key}
-                  initial={{ opacity: 0, y: 20 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, y: -20 }}
-                  transition={{ delay: index * 0.05 }}
-                  className="px-6 py-4 hover:bg-gray-50 transition-colors"
-                >
-                  <div className="flex items-center">
-                    <div className="flex items-center mr-4">
-                      <input
-                        type="checkbox"
-                        checked={selectedFiles.has(file.key)}
-                        onChange={() => handleFileSelect(file.key)}
-                        className="rounded border-gray-300 text-aws-orange focus:ring-aws-orange"
-                      />
-                    </div>
-                    
-                    <div className="grid grid-cols-12 gap-4 flex-1 items-center">
-                      {/* Name */}
-                      <div className="col-span-5 flex items-center gap-3">
-                        <FileTypeIcon type={file.isFolder ? 'folder' : file.type} />
-                        <button
-                          onClick={() => handleFileClick(file)}
-                          className={`text-left truncate ${
-                            file.isFolder 
-                              ? 'text-aws-blue hover:text-aws-blue/80 font-medium' 
-                              : 'text-gray-900 hover:text-gray-700'
-                          } transition-colors`}
-                        >
-                          {file.name}
-                        </button>
+              {filteredFiles.map((file, index) => {
+                const comparison = compareWith?.get(file.name)
+                return (
+                  <motion.div
+                    key={file.key}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -20 }}
+                    transition={{ delay: Math.min(index, 20) * 0.05 }}
+                    onDragOver={file.isFolder ? (e) => handleDropTargetOver(e, file.key) : undefined}
+                    onDragLeave={file.isFolder ? (e) => handleDropTargetLeave(e, file.key) : undefined}
+                    onDrop={file.isFolder ? (e) => handleDropOnPath(e, file.key) : undefined}
+                    className={`px-6 py-4 hover:bg-gray-50 transition-colors ${
+                      dropTarget === file.key ? 'bg-aws-blue/10 ring-2 ring-inset ring-aws-blue' : ''
+                    } ${
+                      comparison?.status === 'missing' ? 'bg-aws-blue/5' : comparison?.status === 'different' ? 'bg-warning/10' : ''
+                    }`}
+                  >
+                    <div
+                      draggable={!file.isDeleted && (canMove || (dragSourceId !== null && canRead))}
+                      onDragStart={(e) => handleRowDragStart(e, file)}
+                      onDragEnd={() => setDropTarget(null)}
+                      className="flex items-center"
+                    >
+                      <div className="flex items-center mr-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedFiles.has(file.key)}
+                          onChange={() => handleFileSelect(file.key)}
+                          disabled={file.isDeleted}
+                          className="rounded border-gray-300 text-aws-orange focus:ring-aws-orange"
+                        />
                       </div>
+                    
+                      <div className="grid grid-cols-12 gap-4 flex-1 items-center">
+                        {/* Name */}
+                        <div className="col-span-5 flex items-center gap-3">
+                          <FileTypeIcon type={file.isFolder ? 'folder' : file.type} />
+                          <div className="min-w-0">
+                            <button
+                              onClick={() => handleFileClick(file)}
+                              className={`block text-left truncate max-w-full ${
+                                file.isFolder 
+                                  ? 'text-aws-blue hover:text-aws-blue/80 font-medium' 
+                                  : file.isDeleted
+                                    ? 'text-gray-400 line-through'
+                                    : 'text-gray-900 hover:text-gray-700'
+                              } transition-colors`}
+                            >
+                              {file.name}
+                            </button>
+                            {searchActive && (
+                              <p className="text-xs text-gray-500 truncate" title={file.key}>
+                                {file.key}
+                              </p>
+                            )}
+                            {comparison && (
+                              <p className={`text-xs ${comparison.status === 'missing' ? 'text-aws-blue' : 'text-warning'}`}>
+                                {comparison.status === 'missing' ? 'Only in this pane' : `Differs: ${comparison.reasons.join(', ')}`}
+                              </p>
+                            )}
+                          </div>
+                        </div>
                       
-                      {/* Size */}
-                      <div className="col-span-2 text-sm text-gray-600">
-                        {formatFileSize(file.size)}
-                      </div>
+                        {/* Size */}
+                        <div className="col-span-2 text-sm text-gray-600">
+                          {formatFileSize(file.size)}
+                        </div>
                       
-                      {/* Modified */}
-                      <div className="col-span-3 text-sm text-gray-600">
-                        {formatDate(file.lastModified)}
-                      </div>
+                        {/* Modified */}
+                        <div className="col-span-3 text-sm text-gray-600">
+                          {formatDate(file.lastModified)}
+                        </div>
                       
-{/* Actions */}
-                      <div className="col-span-2 flex items-center justify-center gap-1">
-                        {!file.isFolder && (
-                          <>
+  {/* Actions */}
+                        <div className="col-span-2 flex items-center justify-center gap-1">
+                          {file.isDeleted && canUseVersions && (
                             <Button
-                              onClick={() => handlePreview(file)}
+                              onClick={() => setHistoryFile(file)}
                               variant="ghost"
                               size="sm"
-                              icon="Eye"
-                              className="text-purple-600 hover:text-purple-600 hover:bg-purple-600/10"
-                            />
+                              icon="History"
+                              className="text-aws-blue hover:text-aws-blue hover:bg-aws-blue/10"
+                            >
+                              Versions
+                            </Button>
+                          )}
+
+                          {!file.isFolder && !file.isDeleted && canRead && (
+                            <>
+                              <Button
+                                onClick={() => handlePreview(file)}
+                                variant="ghost"
+                                size="sm"
+                                icon="Eye"
+                                className="text-purple-600 hover:text-purple-600 hover:bg-purple-600/10"
+                              />
+                              <Button
+                                onClick={() => handleShare(file)}
+                                variant="ghost"
+                                size="sm"
+                                icon="Share2"
+                                className="text-green-600 hover:text-green-600 hover:bg-green-600/10"
+                              />
+                              <Button
+                                onClick={() => handleDownload(file)}
+                                variant="ghost"
+                                size="sm"
+                                icon="Download"
+                                className="text-aws-blue hover:text-aws-blue hover:bg-aws-blue/10"
+                              />
+                            </>
+                          )}
+
+                          {!file.isFolder && !file.isDeleted && canUseVersions && (
                             <Button
-                              onClick={() => handleShare(file)}
+                              onClick={() => setHistoryFile(file)}
                               variant="ghost"
                               size="sm"
-                              icon="Share2"
-                              className="text-green-600 hover:text-green-600 hover:bg-green-600/10"
+                              icon="History"
+                              className="text-gray-600 hover:text-gray-900"
                             />
+                          )}
+                        
+                          {file.isFolder && canRead && (
                             <Button
-                              onClick={() => handleDownload(file.key, file.name)}
+                              onClick={() => handleDownloadZip([file])}
                               variant="ghost"
                               size="sm"
-                              icon="Download"
+                              icon="FileArchive"
                               className="text-aws-blue hover:text-aws-blue hover:bg-aws-blue/10"
                             />
-                          </>
-                        )}
-                        
-                        <Button
-                          onClick={() => handleDelete(file.key, file.name, file.isFolder)}
-                          variant="ghost"
-                          size="sm"
-                          icon="Trash2"
-                          className="text-error hover:text-error hover:bg-error/10"
-                        />
+                          )}
+
+                          {!file.isDeleted && canMove && (
+                            <Button
+                              onClick={() => handleRename(file)}
+                              variant="ghost"
+                              size="sm"
+                              icon="Pencil"
+                              className="text-gray-600 hover:text-gray-900"
+                            />
+                          )}
+
+                          {!file.isDeleted && canDelete && (
+                            <Button
+                              onClick={() => handleDelete(file.key, file.name, file.isFolder)}
+                              variant="ghost"
+                              size="sm"
+                              icon="Trash2"
+                              className="text-error hover:text-error hover:bg-error/10"
+                            />
+                          )}
+                        </div>
                       </div>
                     </div>
-                  </div>
-                </motion.div>
-              ))}
+                  </motion.div>
+                )
+              })}
             </AnimatePresence>
           </div>
+
+          {/* Pagination Footer */}
+          {!searchActive && (
+          <div className="bg-gray-50 px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+            <span>
+              {nextToken
+                ? `${files.length} items loaded • more available`
+                : `${files.length} item${files.length === 1 ? '' : 's'} total`}
+              {searchQuery && ` • ${filteredFiles.length} matching`}
+            </span>
+            {nextToken && (
+              <div ref={loadMoreRef}>
+                <Button
+                  onClick={loadMoreFiles}
+                  loading={loadingMore}
+                  variant="outline"
+                  size="sm"
+                  icon="ChevronsDown"
+                >
+                  Load more
+                </Button>
+              </div>
+            )}
+          </div>
+          )}
         </div>
       )}
 
+      {/* Move Dialog */}
+      <AnimatePresence>
+        {moveTargets && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+            onClick={() => setMoveTargets(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.8, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.8, opacity: 0 }}
+              className="bg-white rounded-lg max-w-md w-full mx-4"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+                <h3 className="text-lg font-semibold">Move {moveTargets.length} item(s) to...</h3>
+                <Button
+                  onClick={() => setMoveTargets(null)}
+                  variant="ghost"
+                  size="sm"
+                  icon="X"
+                />
+              </div>
+              <div className="p-4 space-y-4">
+                <FolderPicker
+                  service={service}
+                  value={moveDestination}
+                  onChange={setMoveDestination}
+                  disabledPaths={moveTargets.filter(f => f.isFolder).map(f => f.key)}
+                />
+                <p className="text-sm text-gray-600">
+                  Destination: <span className="font-medium">/{moveDestination}</span>
+                </p>
+                <div className="flex justify-end gap-2">
+                  <Button onClick={() => setMoveTargets(null)} variant="ghost" size="sm">
+                    Cancel
+                  </Button>
+                  <Button
+                    onClick={handleMoveConfirm}
+                    variant="primary"
+                    size="sm"
+                    icon="FolderInput"
+                    disabled={moveDestination === currentPath}
+                  >
+                    Move here
+                  </Button>
+                </div>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Cross-configuration Copy */}
+      <AnimatePresence>
+        {copyTargets && (
+          <CrossConfigCopyDialog
+            items={copyTargets}
+            sourceConfigId={configId}
+            onClose={() => setCopyTargets(null)}
+            onComplete={() => setSelectedFiles(new Set())}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Object Details */}
+      <AnimatePresence>
+        {detailsFile && (
+          <ObjectDetailsPanel
+            file={detailsFile}
+            service={service}
+            canEditMetadata={hasPermission(permissions, 'write')}
+            canEditTags={hasPermission(permissions, 'tagging')}
+            onClose={() => setDetailsFile(null)}
+            onChanged={() => loadFiles({ background: true })}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Version History */}
+      <AnimatePresence>
+        {historyFile && (
+          <VersionHistoryPanel
+            file={historyFile}
+            service={service}
+            canRestore={hasPermission(permissions, 'write')}
+            canUndelete={canDelete}
+            onClose={() => setHistoryFile(null)}
+            onChanged={handleVersionsChanged}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Operation Progress Modal */}
+      <AnimatePresence>
+        {operation && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          >
+            <motion.div
+              initial={{ scale: 0.8, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.8, opacity: 0 }}
+              className="bg-white rounded-lg max-w-md w-full mx-4"
+            >
+              <div className="p-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold">{operation.title}</h3>
+              </div>
+              <div className="p-4 space-y-4">
+                <TransferReport
+                  progress={operation.progress}
+                  report={operation.report}
+                  verb={operation.verb}
+                />
+                <div className="flex justify-end">
+                  {operation.running ? (
+                    <Button
+                      onClick={() => operationAbortRef.current?.abort()}
+                      variant="danger"
+                      size="sm"
+                      icon="Square"
+                    >
+                      Stop
+                    </Button>
+                  ) : (
+                    <Button onClick={() => setOperation(null)} variant="primary" size="sm">
+                      Close
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* File Preview Modal */}
       <AnimatePresence>
         {showPreview && previewFile && (
@@ -508,7 +1255,7 @@ const getBreadcrumbs = () => {
                 />
               </div>
               <div className="p-4 max-h-[70vh] overflow-auto">
-                <FilePreviewContent file={previewFile} />
+                <FilePreviewContent file={previewFile} service={service} />
               </div>
             </motion.div>
           </motion.div>
@@ -542,7 +1289,7 @@ const getBreadcrumbs = () => {
                 />
               </div>
               <div className="p-4">
-                <ShareFileContent file={shareModalFile} />
+                <ShareFileContent file={shareModalFile} service={service} />
               </div>
             </motion.div>
           </motion.div>
@@ -568,7 +1315,7 @@ const useFileHandlers = (setPreviewFile, setShowPreview, setShareModalFile, setS
 }
 
 // File Preview Component
-const FilePreviewContent = ({ file }) => {
+const FilePreviewContent = ({ file, service = s3Service }) => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [previewUrl, setPreviewUrl] = useState(null)
@@ -581,7 +1328,7 @@ const FilePreviewContent = ({ file }) => {
     try {
       setLoading(true)
       setError(null)
-      const url = await s3Service.getFilePreviewUrl(file.key)
+      const url = await service.getFilePreviewUrl(file.key)
       setPreviewUrl(url)
     } catch (err) {
       setError(err.message)
@@ -646,22 +1393,27 @@ const FilePreviewContent = ({ file }) => {
 }
 
 // Share File Component
-const ShareFileContent = ({ file }) => {
+const ShareFileContent = ({ file, service = s3Service }) => {
   const [shareUrl, setShareUrl] = useState('')
+  const [expiresAt, setExpiresAt] = useState(null)
+  const [warning, setWarning] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [expiresIn, setExpiresIn] = useState(24) // hours
+  const [forceDownload, setForceDownload] = useState(false)
 
   useEffect(() => {
     generateShareUrl()
-  }, [file, expiresIn])
+  }, [file, expiresIn, forceDownload])
 
   const generateShareUrl = async () => {
     try {
       setLoading(true)
       setError(null)
-      const url = await s3Service.generateShareUrl(file.key, expiresIn * 3600) // convert to seconds
-      setShareUrl(url)
+      const result = await service.generateShareUrl(file.key, expiresIn * 3600, { forceDownload }) // convert to seconds
+      setShareUrl(result.url)
+      setExpiresAt(result.expiresAt)
+      setWarning(result.warning)
     } catch (err) {
       setError(err.message)
     } finally {
@@ -688,8 +1440,30 @@ const ShareFileContent = ({ file }) => {
           <option value={168}>7 days</option>
           <option value={720}>30 days</option>
         </select>
+        {expiresAt && (
+          <p className="text-xs text-gray-500 mt-1">
+            Expires {format(new Date(expiresAt), 'MMM dd, yyyy HH:mm')}
+          </p>
+        )}
       </div>
 
+      {warning && (
+        <div className="flex items-start gap-2 p-3 rounded-lg bg-warning/10 text-sm text-gray-800">
+          <ApperIcon name="AlertTriangle" className="w-4 h-4 text-warning flex-shrink-0 mt-0.5" />
+          <span>{warning}</span>
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={forceDownload}
+          onChange={(e) => setForceDownload(e.target.checked)}
+          className="rounded border-gray-300 text-aws-orange focus:ring-aws-orange"
+        />
+        Download instead of opening in the browser
+      </label>
+
       <div>
         <label className="block text-sm font-medium text-gray-700 mb-2">
           Share URL:
@@ -1,20 +1,126 @@
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { AnimatePresence, motion } from "framer-motion";
 import { toast } from "react-toastify";
 import ApperIcon from "@/components/ApperIcon";
 import ProgressBar from "@/components/atoms/ProgressBar";
 import Button from "@/components/atoms/Button";
-import s3Service from "@/services/api/s3Service";
+import IncompleteUploadsPanel from "@/components/organisms/IncompleteUploadsPanel";
+import UploadConflictDialog from "@/components/organisms/UploadConflictDialog";
+import bucketConfigService, { hasPermission } from "@/services/api/bucketConfigService";
+import s3Service, { joinKey } from "@/services/api/s3Service";
+import uploadQueueService from "@/services/api/uploadQueueService";
 
-const FileUploader = ({ currentPath = '', onUploadComplete, className = "" }) => {
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 6, 8, 10]
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject))
+
+// Walk a dropped FileSystemEntry into [{ file, relativePath }]
+const walkEntry = async (entry, parentPath = '') => {
+  const relativePath = parentPath ? `${parentPath}/${entry.name}` : entry.name
+
+  if (entry.isFile) {
+    return [{ file: await entryToFile(entry), relativePath }]
+  }
+  if (!entry.isDirectory) return []
+
+  // readEntries hands back children in batches until it returns an empty one
+  const reader = entry.createReader()
+  const results = []
+  let batch
+  do {
+    batch = await readEntries(reader)
+    for (const child of batch) {
+      results.push(...await walkEntry(child, relativePath))
+    }
+  } while (batch.length > 0)
+
+  return results
+}
+
+// Same walk for FileSystemHandle (browsers without webkitGetAsEntry)
+const walkHandle = async (handle, parentPath = '') => {
+  const relativePath = parentPath ? `${parentPath}/${handle.name}` : handle.name
+
+  if (handle.kind === 'file') {
+    return [{ file: await handle.getFile(), relativePath }]
+  }
+
+  const results = []
+  for await (const child of handle.values()) {
+    results.push(...await walkHandle(child, relativePath))
+  }
+  return results
+}
+
+// DataTransfer items are only readable during the drop event, so grab entries/handles synchronously
+const collectDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file')
+  const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean)
+
+  if (entries.length > 0) {
+    return (await Promise.all(entries.map(entry => walkEntry(entry)))).flat()
+  }
+
+  const handlePromises = items.map(item => item.getAsFileSystemHandle?.()).filter(Boolean)
+  if (handlePromises.length > 0) {
+    const handles = (await Promise.all(handlePromises)).filter(Boolean)
+    return (await Promise.all(handles.map(handle => walkHandle(handle)))).flat()
+  }
+
+  return Array.from(dataTransfer.files).map(file => ({ file, relativePath: file.name }))
+}
+
+const FileUploader = ({ currentPath = '', onUploadComplete, service = s3Service, configId = null, className = "" }) => {
   const [isDragOver, setIsDragOver] = useState(false)
-  const [uploadTasks, setUploadTasks] = useState([])
-  const [isUploading, setIsUploading] = useState(false)
+  const [queue, setQueue] = useState(() => uploadQueueService.getSnapshot())
+  const [uploadsRefreshKey, setUploadsRefreshKey] = useState(0)
+  const [pendingFolderUpload, setPendingFolderUpload] = useState(null)
+  const [pendingConflicts, setPendingConflicts] = useState(null)
+  const [preparing, setPreparing] = useState(false)
+  const [canWrite, setCanWrite] = useState(true)
   const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
+  const previousStatusesRef = useRef(null)
+
+  const uploadTasks = queue.tasks
+  const { aggregate } = queue
+
+  useEffect(() => uploadQueueService.subscribe(setQueue), [])
+
+  useEffect(() => {
+    const loadConfig = configId !== null ? bucketConfigService.getById(configId) : bucketConfigService.getActive()
+    loadConfig
+      .then(config => setCanWrite(hasPermission(config?.permissions, 'write')))
+      .catch(err => console.warn('Failed to load permissions:', err))
+  }, [configId])
+
+  useEffect(() => uploadQueueService.onDrain(() => {
+    setUploadsRefreshKey(key => key + 1)
+    onUploadComplete?.()
+  }), [onUploadComplete])
+
+  // Toast when a task finishes; the first snapshot only records statuses so
+  // remounting the uploader doesn't repeat old notifications
+  useEffect(() => {
+    const previous = previousStatusesRef.current
+    previousStatusesRef.current = new Map(uploadTasks.map(task => [task.id, task.status]))
+    if (!previous) return
+
+    uploadTasks.forEach(task => {
+      if (previous.get(task.id) === task.status) return
+
+      if (task.status === 'completed') {
+        toast.success(task.resumed ? `Resumed and finished uploading ${task.file.name}` : `Successfully uploaded ${task.file.name}`)
+      } else if (task.status === 'error') {
+        toast.error(`Failed to upload ${task.file.name}: ${task.error}`)
+      }
+    })
+  }, [uploadTasks])
 
   const handleDragOver = (e) => {
     e.preventDefault()
-    setIsDragOver(true)
+    if (canWrite) setIsDragOver(true)
   }
 
   const handleDragLeave = (e) => {
@@ -22,145 +128,117 @@ const FileUploader = ({ currentPath = '', onUploadComplete, className = "" }) =>
     setIsDragOver(false)
   }
 
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault()
     setIsDragOver(false)
-    
-    const files = Array.from(e.dataTransfer.files)
-    if (files.length > 0) {
-      handleFileUpload(files)
+    if (!canWrite) return
+
+    const collected = collectDroppedFiles(e.dataTransfer)
+    try {
+      setPreparing(true)
+      await handleFileUpload(await collected)
+    } catch (err) {
+      toast.error('Failed to read dropped items: ' + err.message)
+    } finally {
+      setPreparing(false)
     }
   }
 
   const handleFileSelect = (e) => {
-    const files = Array.from(e.target.files)
+    const files = Array.from(e.target.files).map(file => ({
+      file,
+      relativePath: file.webkitRelativePath || file.name
+    }))
     if (files.length > 0) {
       handleFileUpload(files)
     }
     e.target.value = '' // Reset input
   }
 
-const handleFileUpload = async (files) => {
-    if (files.length === 0) return
+  // entries: [{ file, relativePath }]; anything that came from a folder gets a summary first
+  const handleFileUpload = async (entries) => {
+    if (entries.length === 0) {
+      toast.info('No files found to upload')
+      return
+    }
 
-    try {
-      setIsUploading(true)
-      
-      // Use actual S3 service for uploads with progress tracking
-      const uploadPromises = files.map(async (file) => {
-        const taskId = Math.random().toString(36).substr(2, 9)
-        
-        // Create serializable file metadata to prevent DataCloneError
-        const fileMetadata = {
-          name: file.name,
-          size: file.size,
-          type: file.type,
-          lastModified: file.lastModified
-        }
-        
-const task = {
-          id: taskId,
-          file: fileMetadata, // Use serializable metadata instead of File object
-          originalFile: file, // Store original file for retry functionality
-          progress: 0,
-          status: 'uploading',
-          speed: 0,
-          error: null
-        }
+    if (entries.some(entry => entry.relativePath.includes('/'))) {
+      setPendingFolderUpload(entries)
+      return
+    }
 
-        setUploadTasks(prev => [...prev, task])
-
-        try {
-          await s3Service.uploadFile(file, currentPath, (progress, speed) => {
-            setUploadTasks(prev => prev.map(t => 
-              t.id === taskId 
-                ? { ...t, progress: Math.round(progress), speed: speed || 0 }
-                : t
-            ))
-          })
-
-          setUploadTasks(prev => prev.map(t => 
-            t.id === taskId 
-              ? { ...t, status: 'completed', progress: 100 }
-              : t
-          ))
-          
-          toast.success(`Successfully uploaded ${file.name}`)
-
-        } catch (error) {
-          setUploadTasks(prev => prev.map(t => 
-            t.id === taskId 
-              ? { ...t, status: 'error', error: error.message }
-              : t
-          ))
-          
-          toast.error(`Failed to upload ${file.name}: ${error.message}`)
-        }
+    await startUpload(entries)
+  }
 
-        return task
-      })
+  // Check the destination keys first so nothing is overwritten without asking
+  const startUpload = async (entries) => {
+    const planned = entries.map(({ file, relativePath }) => ({ file, key: joinKey(currentPath, relativePath) }))
 
-      await Promise.all(uploadPromises)
+    try {
+      setPreparing(true)
+      const existing = await service.findExistingObjects(planned.map(entry => entry.key))
+
+      if (existing.size > 0) {
+        setPendingConflicts({ planned, existing })
+      } else {
+        enqueueUploads(planned)
+      }
+    } catch (err) {
+      toast.error(err.message)
+    } finally {
+      setPreparing(false)
+    }
+  }
 
-      // Clear completed tasks after a delay
-      setTimeout(() => {
-        setUploadTasks(prev => prev.filter(task => task.status === 'error'))
-        onUploadComplete?.()
-      }, 2000)
+  const enqueueUploads = (planned) => {
+    if (planned.length === 0) return
 
+    try {
+      uploadQueueService.enqueue(planned, currentPath, { service })
     } catch (err) {
       toast.error('Failed to start upload: ' + err.message)
-    } finally {
-      setIsUploading(false)
     }
   }
 
-  const removeTask = (taskId) => {
-    setUploadTasks(prev => prev.filter(task => task.id !== taskId))
+  const confirmFolderUpload = () => {
+    const entries = pendingFolderUpload
+    setPendingFolderUpload(null)
+    startUpload(entries)
   }
 
-const retryTask = async (taskId) => {
-    const task = uploadTasks.find(t => t.id === taskId)
-    if (!task || !task.originalFile) {
-      toast.error('Cannot retry: Original file not available')
-      return
-    }
+  const resolveConflicts = async (decisions) => {
+    const { planned, existing } = pendingConflicts
+    setPendingConflicts(null)
 
     try {
-      setUploadTasks(prev => prev.map(t => 
-        t.id === taskId 
-          ? { ...t, status: 'uploading', progress: 0, error: null }
-          : t
-      ))
-
-      await s3Service.uploadFile(task.originalFile, currentPath, (progress, speed) => {
-        setUploadTasks(prev => prev.map(t => 
-          t.id === taskId 
-            ? { ...t, progress: Math.round(progress), speed: speed || 0 }
-            : t
-        ))
-      })
-
-      setUploadTasks(prev => prev.map(t => 
-        t.id === taskId 
-          ? { ...t, status: 'completed', progress: 100 }
-          : t
-      ))
-      
-      toast.success(`Successfully uploaded ${task.file.name}`)
-
-      setTimeout(() => {
-        removeTask(taskId)
-        onUploadComplete?.()
-      }, 2000)
+      setPreparing(true)
+      const reserved = new Set(planned.map(entry => entry.key))
+      const toUpload = []
+      let skipped = 0
 
+      for (const entry of planned) {
+        const remote = existing.get(entry.key)
+        const policy = remote ? decisions[entry.key] : 'overwrite'
+
+        if (policy === 'skip' || (policy === 'ifChanged' && !(await service.isLocalFileChanged(entry.file, remote)))) {
+          skipped++
+        } else if (policy === 'keepBoth') {
+          const key = await service.findAvailableKey(entry.key, reserved)
+          reserved.add(key)
+          toUpload.push({ ...entry, key })
+        } else {
+          toUpload.push(entry)
+        }
+      }
+
+      enqueueUploads(toUpload)
+      if (skipped > 0) {
+        toast.info(`Skipped ${skipped} file(s) that already exist`)
+      }
     } catch (err) {
-      setUploadTasks(prev => prev.map(t => 
-        t.id === taskId 
-          ? { ...t, status: 'error', error: err.message }
-          : t
-      ))
-      toast.error(`Retry failed: ${err.message}`)
+      toast.error('Failed to resolve conflicts: ' + err.message)
+    } finally {
+      setPreparing(false)
     }
   }
 
@@ -176,6 +254,44 @@ const retryTask = async (taskId) => {
     return `${mbps.toFixed(1)} MB/s`
   }
 
+  const formatEta = (seconds) => {
+    if (seconds === null || !Number.isFinite(seconds)) return null
+    if (seconds < 60) return `${Math.ceil(seconds)}s left`
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.ceil(seconds % 60)}s left`
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m left`
+  }
+
+  const getTaskLabel = (task) => {
+    switch (task.status) {
+      case 'queued':
+        return 'Queued'
+      case 'paused':
+        return 'Paused'
+      case 'cancelled':
+        return 'Cancelled'
+      case 'error':
+        return task.error
+      default:
+        return 'Uploading...'
+    }
+  }
+
+  const handleCancelAll = () => {
+    if (!window.confirm('Cancel all unfinished uploads? Parts already uploaded will be discarded.')) return
+    uploadQueueService.cancelAll()
+  }
+
+  const folderSummary = pendingFolderUpload ? {
+    totalSize: pendingFolderUpload.reduce((sum, entry) => sum + entry.file.size, 0),
+    folders: [...new Set(pendingFolderUpload
+      .filter(entry => entry.relativePath.includes('/'))
+      .map(entry => entry.relativePath.split('/')[0]))]
+  } : null
+
+  const hasUnfinished = aggregate.active + aggregate.queued + aggregate.paused > 0
+  const hasFinished = uploadTasks.some(task => ['completed', 'cancelled'].includes(task.status))
+  const eta = formatEta(aggregate.etaSeconds)
+
   return (
     <div className={`space-y-6 ${className}`}>
       {/* Upload Zone */}
@@ -202,11 +318,13 @@ const retryTask = async (taskId) => {
           
           <div>
             <h3 className="text-lg font-semibold text-gray-900 mb-2">
-              {isDragOver ? 'Drop files here' : 'Upload Files'}
+              {isDragOver ? 'Drop files or folders here' : 'Upload Files'}
             </h3>
             <p className="text-gray-600 mb-4">
-              Drag and drop files here, or click to browse
-              {currentPath && (
+              {canWrite
+                ? 'Drag and drop files or folders here, or click to browse'
+                : "The active configuration's credentials can't write to this bucket."}
+              {canWrite && currentPath && (
                 <span className="block text-sm text-aws-blue mt-1">
                   Uploading to: /{currentPath}
                 </span>
@@ -214,14 +332,25 @@ const retryTask = async (taskId) => {
             </p>
           </div>
 
-          <Button
-            onClick={() => fileInputRef.current?.click()}
-            variant="primary"
-            icon="FolderOpen"
-            disabled={isUploading}
-          >
-            Choose Files
-          </Button>
+          <div className="flex items-center justify-center gap-3">
+            <Button
+              onClick={() => fileInputRef.current?.click()}
+              variant="primary"
+              icon="FileUp"
+              loading={preparing}
+              disabled={!canWrite}
+            >
+              Choose Files
+            </Button>
+            <Button
+              onClick={() => folderInputRef.current?.click()}
+              variant="secondary"
+              icon="FolderOpen"
+              disabled={preparing || !canWrite}
+            >
+              Select Folder
+            </Button>
+          </div>
         </motion.div>
 
         <input
@@ -231,8 +360,81 @@ const retryTask = async (taskId) => {
           onChange={handleFileSelect}
           className="hidden"
         />
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          multiple
+          onChange={handleFileSelect}
+          className="hidden"
+        />
       </motion.div>
 
+      {/* Folder Upload Summary */}
+      <AnimatePresence>
+        {pendingFolderUpload && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+            onClick={() => setPendingFolderUpload(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.9, opacity: 0 }}
+              className="bg-white rounded-lg p-6 max-w-md w-full space-y-4"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <h3 className="text-lg font-semibold">Upload folder</h3>
+
+              <div className="space-y-1 text-sm text-gray-700">
+                <p>
+                  <span className="font-medium">{pendingFolderUpload.length}</span> file(s),{' '}
+                  <span className="font-medium">{formatFileSize(folderSummary.totalSize)}</span> in total
+                </p>
+                <p className="truncate">
+                  From: {folderSummary.folders.join(', ')}
+                </p>
+                <p className="text-aws-blue truncate">
+                  To: {currentPath ? `/${currentPath}` : 'bucket root'}
+                </p>
+              </div>
+
+              <p className="text-xs text-gray-500">
+                Folder structure is kept as key prefixes. Empty folders are not created.
+              </p>
+
+              <div className="flex justify-end gap-3">
+                <Button onClick={() => setPendingFolderUpload(null)} variant="secondary">
+                  Cancel
+                </Button>
+                <Button onClick={confirmFolderUpload} variant="primary" icon="Upload">
+                  Upload {pendingFolderUpload.length} file(s)
+                </Button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {pendingConflicts && (
+          <UploadConflictDialog
+            conflicts={pendingConflicts.planned
+              .filter(entry => pendingConflicts.existing.has(entry.key))
+              .map(entry => ({
+                key: entry.key,
+                file: { name: entry.file.name, size: entry.file.size, lastModified: entry.file.lastModified },
+                existing: pendingConflicts.existing.get(entry.key)
+              }))}
+            onResolve={resolveConflicts}
+            onCancel={() => setPendingConflicts(null)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Upload Progress */}
       <AnimatePresence>
         {uploadTasks.length > 0 && (
@@ -242,7 +444,67 @@ const retryTask = async (taskId) => {
             exit={{ opacity: 0, height: 0 }}
             className="space-y-4"
           >
-            <h3 className="text-lg font-semibold text-gray-900">Upload Progress</h3>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <h3 className="text-lg font-semibold text-gray-900">Upload Progress</h3>
+
+              <div className="flex items-center gap-2">
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  Parallel uploads
+                  <select
+                    value={queue.concurrency}
+                    onChange={(e) => uploadQueueService.setConcurrency(e.target.value)}
+                    className="px-2 py-1 border-2 border-gray-200 rounded-lg focus:border-aws-blue outline-none"
+                  >
+                    {CONCURRENCY_OPTIONS.map(option => (
+                      <option key={option} value={option}>{option}</option>
+                    ))}
+                  </select>
+                </label>
+
+                {aggregate.active + aggregate.queued > 0 && (
+                  <Button onClick={() => uploadQueueService.pauseAll()} variant="ghost" size="sm" icon="Pause">
+                    Pause all
+                  </Button>
+                )}
+                {aggregate.paused > 0 && (
+                  <Button onClick={() => uploadQueueService.resumeAll()} variant="ghost" size="sm" icon="Play">
+                    Resume all
+                  </Button>
+                )}
+                {hasUnfinished && (
+                  <Button
+                    onClick={handleCancelAll}
+                    variant="ghost"
+                    size="sm"
+                    icon="XCircle"
+                    className="text-error hover:text-error"
+                  >
+                    Cancel all
+                  </Button>
+                )}
+                {hasFinished && (
+                  <Button onClick={() => uploadQueueService.clearFinished()} variant="ghost" size="sm" icon="ListX">
+                    Clear finished
+                  </Button>
+                )}
+              </div>
+            </div>
+
+            {hasUnfinished && (
+              <div className="card p-4 space-y-2">
+                <ProgressBar
+                  value={aggregate.progress}
+                  size="lg"
+                  showLabel
+                  label={`${formatFileSize(aggregate.uploadedBytes)} of ${formatFileSize(aggregate.totalBytes)}`}
+                />
+                <p className="text-sm text-gray-600">
+                  {aggregate.active} uploading • {aggregate.queued} queued • {aggregate.paused} paused
+                  {aggregate.speed > 0 && <span> • {formatSpeed(aggregate.speed)}</span>}
+                  {eta && <span> • {eta}</span>}
+                </p>
+              </div>
+            )}
             
             <div className="space-y-3">
               {uploadTasks.map((task) => (
@@ -271,26 +533,10 @@ const retryTask = async (taskId) => {
                         <ApperIcon name="CheckCircle" className="w-5 h-5 text-success" />
                       )}
                       
-                      {task.status === 'error' && (
-                        <div className="flex items-center gap-2">
-                          <Button
-                            onClick={() => retryTask(task.id)}
-                            variant="ghost"
-                            size="sm"
-                            icon="RefreshCw"
-                          >
-                            Retry
-                          </Button>
-                          <Button
-                            onClick={() => removeTask(task.id)}
-                            variant="ghost"
-                            size="sm"
-                            icon="X"
-                            className="text-error hover:text-error"
-                          />
-                        </div>
+                      {task.status === 'cancelled' && (
+                        <ApperIcon name="XCircle" className="w-5 h-5 text-gray-400" />
                       )}
-                      
+
                       {task.status === 'uploading' && (
                         <motion.div
                           animate={{ rotate: 360 }}
@@ -299,15 +545,66 @@ const retryTask = async (taskId) => {
                           <ApperIcon name="Loader2" className="w-5 h-5 text-aws-orange" />
                         </motion.div>
                       )}
+
+                      {['uploading', 'queued'].includes(task.status) && (
+                        <Button
+                          onClick={() => uploadQueueService.pause(task.id)}
+                          variant="ghost"
+                          size="sm"
+                          icon="Pause"
+                        />
+                      )}
+
+                      {task.status === 'paused' && (
+                        <Button
+                          onClick={() => uploadQueueService.resume(task.id)}
+                          variant="ghost"
+                          size="sm"
+                          icon="Play"
+                        >
+                          Resume
+                        </Button>
+                      )}
+
+                      {task.status === 'error' && (
+                        <Button
+                          onClick={() => uploadQueueService.retry(task.id)}
+                          variant="ghost"
+                          size="sm"
+                          icon="RefreshCw"
+                        >
+                          Retry
+                        </Button>
+                      )}
+
+                      {['uploading', 'queued', 'paused'].includes(task.status) && (
+                        <Button
+                          onClick={() => uploadQueueService.cancel(task.id)}
+                          variant="ghost"
+                          size="sm"
+                          icon="X"
+                          className="text-error hover:text-error"
+                        />
+                      )}
+
+                      {['error', 'cancelled'].includes(task.status) && (
+                        <Button
+                          onClick={() => uploadQueueService.remove(task.id)}
+                          variant="ghost"
+                          size="sm"
+                          icon="Trash2"
+                          className="text-error hover:text-error"
+                        />
+                      )}
                     </div>
                   </div>
 
                   {task.status !== 'completed' && (
                     <ProgressBar
                       value={task.progress}
-                      variant={task.status === 'error' ? 'error' : 'primary'}
+                      variant={task.status === 'error' ? 'error' : task.status === 'paused' ? 'warning' : 'primary'}
                       showLabel
-                      label={task.status === 'error' ? task.error : 'Uploading...'}
+                      label={getTaskLabel(task)}
                     />
                   )}
                 </motion.div>
@@ -316,6 +613,8 @@ const retryTask = async (taskId) => {
           </motion.div>
         )}
       </AnimatePresence>
+
+      <IncompleteUploadsPanel refreshKey={uploadsRefreshKey} service={service} />
     </div>
   )
 }
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { formatDistanceToNow } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import s3Service from "@/services/api/s3Service";
+import uploadQueueService from "@/services/api/uploadQueueService";
+import uploadStateService from "@/services/api/uploadStateService";
+
+// Lists multipart uploads that were never completed so they can be resumed or aborted
+const IncompleteUploadsPanel = ({ refreshKey, service = s3Service, className = "" }) => {
+  const [uploads, setUploads] = useState([])
+  const [localStates, setLocalStates] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [expanded, setExpanded] = useState(false)
+  const [aborting, setAborting] = useState(new Set())
+  const [activeUploadIds, setActiveUploadIds] = useState(new Set())
+
+  // Aborting an upload the queue is still running would fail its remaining parts
+  useEffect(() => {
+    return uploadQueueService.subscribe(snapshot => setActiveUploadIds(uploadQueueService.getActiveUploadIds(snapshot)))
+  }, [])
+
+  useEffect(() => {
+    loadUploads()
+  }, [refreshKey, service])
+
+  const loadUploads = async () => {
+    try {
+      setLoading(true)
+      const [remote, local] = await Promise.all([
+        service.listMultipartUploads(),
+        uploadStateService.getAll()
+      ])
+      setUploads(remote)
+      setLocalStates(local)
+    } catch (err) {
+      // Listing can be denied without affecting normal uploads
+      console.warn('Failed to load incomplete uploads:', err)
+      setUploads([])
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const abortUploads = async (targets) => {
+    setAborting(prev => new Set([...prev, ...targets.map(u => u.uploadId)]))
+
+    const results = await Promise.allSettled(
+      targets.map(upload => service.abortMultipartUpload(upload.key, upload.uploadId))
+    )
+    const failed = results.filter(result => result.status === 'rejected')
+
+    if (failed.length > 0) {
+      toast.error(failed[0].reason.message)
+    } else {
+      toast.success(`Aborted ${targets.length} incomplete upload(s)`)
+    }
+
+    setAborting(new Set())
+    loadUploads()
+  }
+
+  const abortableUploads = uploads.filter(upload => !activeUploadIds.has(upload.uploadId))
+
+  const handleAbortAll = () => {
+    const skipped = uploads.length - abortableUploads.length
+    const message = `Abort ${abortableUploads.length} incomplete upload(s)? Their uploaded parts will be deleted.` +
+      (skipped > 0 ? ` ${skipped} upload(s) still in progress will be left running.` : '')
+    if (!window.confirm(message)) return
+    abortUploads(abortableUploads)
+  }
+
+  const getLocalState = (upload) => localStates.find(state => state.uploadId === upload.uploadId)
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes'
+    const k = 1024
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+  }
+
+  if (uploads.length === 0) return null
+
+  return (
+    <div className={`card p-4 space-y-3 ${className}`}>
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center gap-2 font-semibold text-gray-900"
+        >
+          <ApperIcon name={expanded ? 'ChevronDown' : 'ChevronRight'} className="w-4 h-4" />
+          Incomplete uploads ({uploads.length})
+        </button>
+
+        <div className="flex items-center gap-2">
+          <Button onClick={loadUploads} loading={loading} variant="ghost" size="sm" icon="RefreshCw" />
+          <Button onClick={handleAbortAll} disabled={abortableUploads.length === 0} variant="danger" size="sm" icon="Trash2">
+            Abort all
+          </Button>
+        </div>
+      </div>
+
+      {!expanded && (
+        <p className="text-sm text-gray-600">
+          Unfinished multipart uploads keep accruing storage costs until they are completed or aborted.
+        </p>
+      )}
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="divide-y divide-gray-100 border border-gray-200 rounded-lg"
+          >
+            {uploads.map(upload => {
+              const localState = getLocalState(upload)
+              const totalParts = localState ? Math.ceil(localState.fileSize / localState.partSize) : null
+
+              return (
+                <div key={upload.uploadId} className="flex items-center gap-3 px-3 py-2">
+                  <ApperIcon name="FileClock" className="w-5 h-5 text-warning flex-shrink-0" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-900 truncate" title={upload.key}>{upload.key}</p>
+                    <p className="text-xs text-gray-500">
+                      Started {upload.initiated ? formatDistanceToNow(new Date(upload.initiated), { addSuffix: true }) : 'at an unknown time'}
+                      {localState && (
+                        <span>
+                          {' '}• {localState.parts.length} of {totalParts} parts of {formatFileSize(localState.fileSize)} • re-select {localState.fileName} to resume
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <Button
+                    onClick={() => abortUploads([upload])}
+                    loading={aborting.has(upload.uploadId)}
+                    disabled={activeUploadIds.has(upload.uploadId)}
+                    title={activeUploadIds.has(upload.uploadId) ? 'Still uploading; pause or cancel it in the upload queue' : undefined}
+                    variant="ghost"
+                    size="sm"
+                    icon="X"
+                    className="text-error hover:text-error hover:bg-error/10"
+                  >
+                    Abort
+                  </Button>
+                </div>
+              )
+            })}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default IncompleteUploadsPanel
@@ -0,0 +1,245 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import KeyValueEditor from "@/components/molecules/KeyValueEditor";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+import s3Service from "@/services/api/s3Service";
+
+const toRows = (metadata = {}) => Object.entries(metadata).map(([key, value]) => ({ key, value }))
+
+const ObjectDetailsPanel = ({ file, service = s3Service, onClose, onChanged, canEditMetadata = true, canEditTags = true }) => {
+  const [details, setDetails] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [headers, setHeaders] = useState({})
+  const [metadataRows, setMetadataRows] = useState([])
+  const [tagRows, setTagRows] = useState([])
+  const [savingMetadata, setSavingMetadata] = useState(false)
+  const [savingTags, setSavingTags] = useState(false)
+
+  useEffect(() => {
+    loadDetails()
+  }, [file])
+
+  const applyDetails = (result) => {
+    setDetails(result)
+    setHeaders({
+      contentType: result.contentType,
+      cacheControl: result.cacheControl,
+      contentDisposition: result.contentDisposition,
+      contentEncoding: result.contentEncoding,
+      contentLanguage: result.contentLanguage
+    })
+    setMetadataRows(toRows(result.metadata))
+    setTagRows(result.tags || [])
+  }
+
+  const loadDetails = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      applyDetails(await service.getObjectDetails(file.key))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleHeaderChange = (field, value) => {
+    setHeaders(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleSaveMetadata = async () => {
+    const metadata = Object.fromEntries(
+      metadataRows.filter(row => row.key.trim()).map(row => [row.key, row.value])
+    )
+
+    try {
+      setSavingMetadata(true)
+      const updated = await service.updateObjectMetadata(file.key, { ...headers, metadata })
+      applyDetails(updated)
+      toast.success('Metadata updated')
+      onChanged?.()
+    } catch (err) {
+      toast.error(err.message)
+    } finally {
+      setSavingMetadata(false)
+    }
+  }
+
+  const handleSaveTags = async () => {
+    try {
+      setSavingTags(true)
+      const tags = await service.updateObjectTags(file.key, tagRows)
+      setTagRows(tags)
+      setDetails(prev => ({ ...prev, tags }))
+      toast.success('Tags updated')
+    } catch (err) {
+      toast.error(err.message)
+    } finally {
+      setSavingTags(false)
+    }
+  }
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes'
+    const k = 1024
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+  }
+
+  const properties = details ? [
+    { label: 'Key', value: details.key },
+    { label: 'Size', value: formatFileSize(details.size) },
+    { label: 'Last modified', value: details.lastModified ? format(new Date(details.lastModified), 'MMM dd, yyyy HH:mm:ss') : '-' },
+    { label: 'ETag', value: details.etag },
+    { label: 'Version ID', value: details.versionId || 'None (versioning off)' },
+    { label: 'Storage class', value: details.storageClass },
+    { label: 'Encryption', value: details.serverSideEncryption ? `${details.serverSideEncryption}${details.kmsKeyId ? ` (${details.kmsKeyId})` : ''}` : 'None' }
+  ] : []
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-30 z-50 flex justify-end"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ x: '100%' }}
+        animate={{ x: 0 }}
+        exit={{ x: '100%' }}
+        transition={{ type: 'tween', duration: 0.25 }}
+        className="bg-white w-full max-w-lg h-full flex flex-col shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-semibold truncate">{file.name}</h3>
+          <Button onClick={onClose} variant="ghost" size="sm" icon="X" />
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-6">
+          {loading && <Loading />}
+          {!loading && error && <Error message={error} onRetry={loadDetails} />}
+
+          {!loading && !error && details && (
+            <>
+              {/* Properties */}
+              <section className="space-y-2">
+                <h4 className="font-semibold text-gray-900">Properties</h4>
+                <dl className="divide-y divide-gray-100 border border-gray-200 rounded-lg text-sm">
+                  {properties.map(property => (
+                    <div key={property.label} className="flex gap-4 px-3 py-2">
+                      <dt className="w-32 flex-shrink-0 text-gray-500">{property.label}</dt>
+                      <dd className="flex-1 min-w-0 break-all text-gray-900">{property.value}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </section>
+
+              {/* Metadata */}
+              <section className="space-y-3">
+                <h4 className="font-semibold text-gray-900">Metadata</h4>
+                <Input
+                  label="Content-Type"
+                  value={headers.contentType}
+                  onChange={(e) => handleHeaderChange('contentType', e.target.value)}
+                  placeholder="application/octet-stream"
+                />
+                <Input
+                  label="Cache-Control"
+                  value={headers.cacheControl}
+                  onChange={(e) => handleHeaderChange('cacheControl', e.target.value)}
+                  placeholder="max-age=3600"
+                />
+                <Input
+                  label="Content-Disposition"
+                  value={headers.contentDisposition}
+                  onChange={(e) => handleHeaderChange('contentDisposition', e.target.value)}
+                  placeholder='attachment; filename="report.pdf"'
+                />
+                <div className="grid grid-cols-2 gap-3">
+                  <Input
+                    label="Content-Encoding"
+                    value={headers.contentEncoding}
+                    onChange={(e) => handleHeaderChange('contentEncoding', e.target.value)}
+                    placeholder="gzip"
+                  />
+                  <Input
+                    label="Content-Language"
+                    value={headers.contentLanguage}
+                    onChange={(e) => handleHeaderChange('contentLanguage', e.target.value)}
+                    placeholder="en-US"
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">User metadata</label>
+                  <KeyValueEditor
+                    rows={metadataRows}
+                    onChange={setMetadataRows}
+                    keyPrefix="x-amz-meta-"
+                    disabled={savingMetadata}
+                  />
+                </div>
+
+                {!canEditMetadata && (
+                  <p className="text-xs text-warning">These credentials can't write objects, so metadata is read-only.</p>
+                )}
+                <p className="text-xs text-gray-500">
+                  Saving copies the object onto itself with the new metadata. On versioned buckets this creates a new version.
+                </p>
+                <Button
+                  onClick={handleSaveMetadata}
+                  loading={savingMetadata}
+                  disabled={!canEditMetadata}
+                  variant="primary"
+                  size="sm"
+                  icon="Save"
+                >
+                  Save metadata
+                </Button>
+              </section>
+
+              {/* Tags */}
+              <section className="space-y-3">
+                <h4 className="font-semibold text-gray-900">Tags</h4>
+                {details.tags === null ? (
+                  <p className="text-sm text-gray-500">Tags could not be read with the current credentials.</p>
+                ) : (
+                  <>
+                    <KeyValueEditor
+                      rows={tagRows}
+                      onChange={setTagRows}
+                      maxRows={10}
+                      disabled={savingTags}
+                    />
+                    <Button
+                      onClick={handleSaveTags}
+                      loading={savingTags}
+                      disabled={!canEditTags}
+                      variant="primary"
+                      size="sm"
+                      icon="Tags"
+                    >
+                      Save tags
+                    </Button>
+                  </>
+                )}
+              </section>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default ObjectDetailsPanel
@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { format } from "date-fns";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import bucketConfigService, { DEFAULT_SCRATCH_PREFIX, PERMISSION_OPERATIONS } from "@/services/api/bucketConfigService";
+
+const operationLabels = {
+  list: 'List objects',
+  read: 'Read objects',
+  write: 'Write objects',
+  delete: 'Delete objects',
+  tagging: 'Object tagging',
+  versioning: 'Versioning',
+  acl: 'Bucket ACL'
+}
+
+const statusStyles = {
+  allowed: { icon: 'CheckCircle', color: 'text-success', label: 'Allowed' },
+  denied: { icon: 'XCircle', color: 'text-error', label: 'Denied' },
+  skipped: { icon: 'MinusCircle', color: 'text-gray-400', label: 'Skipped' },
+  unknown: { icon: 'HelpCircle', color: 'text-gray-400', label: 'Unknown' },
+  error: { icon: 'AlertTriangle', color: 'text-warning', label: 'Error' }
+}
+
+// Runs bucketConfigService.probePermissions for a configuration (saved or still in the form)
+// and shows the result. onProbed receives the permissions object so the caller can store it.
+const PermissionMatrix = ({ config, permissions, onProbed, className = "" }) => {
+  const [allowWrite, setAllowWrite] = useState(permissions?.writeProbe || false)
+  const [scratchPrefix, setScratchPrefix] = useState(permissions?.scratchPrefix || DEFAULT_SCRATCH_PREFIX)
+  const [probing, setProbing] = useState(false)
+
+  const handleProbe = async () => {
+    try {
+      setProbing(true)
+      const result = await bucketConfigService.probePermissions(config, { allowWrite, scratchPrefix })
+      onProbed?.(result)
+    } catch (err) {
+      toast.error(`Permission check failed: ${err.message}`)
+    } finally {
+      setProbing(false)
+    }
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="space-y-3">
+        <label className="flex items-start gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={allowWrite}
+            onChange={(e) => setAllowWrite(e.target.checked)}
+            className="mt-1"
+          />
+          <span>
+            Also test write, tagging and delete by creating and removing one small object under the scratch prefix
+          </span>
+        </label>
+        {allowWrite && (
+          <Input
+            label="Scratch prefix"
+            value={scratchPrefix}
+            onChange={(e) => setScratchPrefix(e.target.value)}
+            placeholder={DEFAULT_SCRATCH_PREFIX}
+          />
+        )}
+        <Button onClick={handleProbe} loading={probing} variant="outline" size="sm" icon="ShieldCheck">
+          {permissions ? 'Re-check permissions' : 'Check permissions'}
+        </Button>
+      </div>
+
+      {permissions && (
+        <div className="space-y-2">
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {PERMISSION_OPERATIONS.map(operation => {
+              const result = permissions.results[operation]
+              const style = statusStyles[result?.status] || statusStyles.unknown
+              return (
+                <div key={operation} className="flex items-center gap-3 px-3 py-2 text-sm">
+                  <ApperIcon name={style.icon} className={`w-4 h-4 flex-shrink-0 ${style.color}`} />
+                  <span className="w-32 flex-shrink-0 text-gray-900">{operationLabels[operation]}</span>
+                  <span className={`w-16 flex-shrink-0 font-medium ${style.color}`}>{style.label}</span>
+                  <span className="flex-1 min-w-0 text-gray-500 truncate" title={result?.message}>
+                    {result?.status !== 'allowed' && result?.message}
+                  </span>
+                </div>
+              )
+            })}
+          </div>
+          <p className="text-xs text-gray-500">
+            Checked {format(new Date(permissions.probedAt), 'MMM dd, yyyy HH:mm')}. Actions that were denied are hidden in the browser and uploader.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PermissionMatrix
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Input from "@/components/atoms/Input";
+import Button from "@/components/atoms/Button";
+import bucketConfigService from "@/services/api/bucketConfigService";
+import sessionCredentialsService, { usesAssumeRole } from "@/services/api/sessionCredentialsService";
+
+// Below this the countdown turns amber
+const WARNING_THRESHOLD_MS = 10 * 60 * 1000
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  const pad = (value) => String(value).padStart(2, '0')
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`
+}
+
+// Header countdown for the active configuration's AssumeRole session, with a prompt to
+// start or renew it when that needs an MFA code
+const SessionStatus = ({ configId }) => {
+  const [config, setConfig] = useState(null)
+  const [info, setInfo] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  const [showPrompt, setShowPrompt] = useState(false)
+  const [tokenCode, setTokenCode] = useState('')
+  const [starting, setStarting] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    bucketConfigService.getActive()
+      .then(active => {
+        if (!cancelled) setConfig(active)
+      })
+      .catch(err => console.error('Failed to load active config:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [configId])
+
+  useEffect(() => {
+    if (!usesAssumeRole(config)) return
+
+    setInfo(sessionCredentialsService.getSessionInfo(config))
+    const unsubscribe = sessionCredentialsService.subscribe(() => {
+      setInfo(sessionCredentialsService.getSessionInfo(config))
+    })
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => {
+      unsubscribe()
+      clearInterval(timer)
+    }
+  }, [config])
+
+  if (!usesAssumeRole(config)) return null
+
+  const remaining = info ? new Date(info.expiration).getTime() - now : 0
+  const expired = !info || remaining <= 0
+  const needsAction = expired || info.needsMfa
+
+  const handleStart = async (code) => {
+    try {
+      setStarting(true)
+      await sessionCredentialsService.startSession(config, code)
+      setShowPrompt(false)
+      setTokenCode('')
+      toast.success('Role session started')
+    } catch (err) {
+      toast.error(err.message)
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const handleRenewClick = () => {
+    if (config.mfaSerial) {
+      setShowPrompt(true)
+    } else {
+      handleStart()
+    }
+  }
+
+  return (
+    <>
+      <div className="flex items-center gap-2 text-sm">
+        <ApperIcon
+          name="Timer"
+          className={`w-4 h-4 ${expired ? 'text-error' : remaining < WARNING_THRESHOLD_MS ? 'text-warning' : 'text-gray-500'}`}
+        />
+        <span className="text-gray-700" title={config.roleArn}>
+          {expired ? 'No role session' : <>Session <span className="font-mono">{formatRemaining(remaining)}</span></>}
+        </span>
+        {needsAction && (
+          <Button onClick={handleRenewClick} loading={starting && !showPrompt} variant="outline" size="sm" icon="RefreshCw">
+            {expired ? 'Start' : 'Renew'}
+          </Button>
+        )}
+      </div>
+
+      {showPrompt && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          onClick={() => setShowPrompt(false)}
+        >
+          <motion.form
+            initial={{ scale: 0.8, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            className="bg-white rounded-lg max-w-sm w-full mx-4 p-6 space-y-4"
+            onClick={(e) => e.stopPropagation()}
+            onSubmit={(e) => {
+              e.preventDefault()
+              handleStart(tokenCode.trim())
+            }}
+          >
+            <div>
+              <h3 className="text-lg font-semibold flex items-center gap-2">
+                <ApperIcon name="KeyRound" className="w-5 h-5 text-aws-orange" />
+                MFA code required
+              </h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Enter the current code for {config.mfaSerial} to {expired ? 'start' : 'renew'} the session for {config.name}.
+              </p>
+            </div>
+            <Input
+              label="MFA Code"
+              value={tokenCode}
+              onChange={(e) => setTokenCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+            <div className="flex justify-end gap-2">
+              <Button type="button" onClick={() => setShowPrompt(false)} variant="ghost">
+                Cancel
+              </Button>
+              <Button type="submit" loading={starting} icon="Unlock">
+                {expired ? 'Start session' : 'Renew session'}
+              </Button>
+            </div>
+          </motion.form>
+        </motion.div>
+      )}
+    </>
+  )
+}
+
+export default SessionStatus
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+
+const CONFLICT_POLICIES = [
+  { value: 'skip', label: 'Skip' },
+  { value: 'overwrite', label: 'Overwrite' },
+  { value: 'keepBoth', label: 'Keep both' },
+  { value: 'ifChanged', label: 'Overwrite if changed' }
+]
+
+// conflicts: [{ key, file: { name, size, lastModified }, existing: { size, lastModified } }]
+// onResolve receives { [key]: policy }
+const UploadConflictDialog = ({ conflicts, onResolve, onCancel }) => {
+  const [decisions, setDecisions] = useState(
+    () => Object.fromEntries(conflicts.map(conflict => [conflict.key, 'skip']))
+  )
+  const [applyToAll, setApplyToAll] = useState('skip')
+
+  const setDecision = (key, policy) => {
+    setDecisions(prev => ({ ...prev, [key]: policy }))
+  }
+
+  const handleApplyToAll = () => {
+    setDecisions(Object.fromEntries(conflicts.map(conflict => [conflict.key, applyToAll])))
+  }
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes'
+    const k = 1024
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+  }
+
+  const formatDate = (value) => (value ? format(new Date(value), 'MMM dd, yyyy HH:mm') : '-')
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onCancel}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.8, opacity: 0 }}
+        className="bg-white rounded-lg max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200 space-y-1">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ApperIcon name="AlertTriangle" className="w-5 h-5 text-warning" />
+            {conflicts.length} file(s) already exist
+          </h3>
+          <p className="text-sm text-gray-600">
+            Choose what to do with each file. "Overwrite if changed" compares size and checksum,
+            or modification time when the checksum isn't available.
+          </p>
+        </div>
+
+        <div className="px-4 py-3 border-b border-gray-200 flex items-center gap-3">
+          <span className="text-sm text-gray-700">Apply to all:</span>
+          <select
+            value={applyToAll}
+            onChange={(e) => setApplyToAll(e.target.value)}
+            className="px-2 py-1 text-sm border-2 border-gray-200 rounded-lg focus:border-aws-blue outline-none"
+          >
+            {CONFLICT_POLICIES.map(policy => (
+              <option key={policy.value} value={policy.value}>{policy.label}</option>
+            ))}
+          </select>
+          <Button onClick={handleApplyToAll} variant="secondary" size="sm">
+            Apply
+          </Button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto divide-y divide-gray-100">
+          {conflicts.map(conflict => (
+            <div key={conflict.key} className="flex items-center gap-4 px-4 py-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate" title={conflict.key}>{conflict.key}</p>
+                <p className="text-xs text-gray-500">
+                  Local: {formatFileSize(conflict.file.size)}, {formatDate(conflict.file.lastModified)}
+                </p>
+                <p className="text-xs text-gray-500">
+                  In bucket: {formatFileSize(conflict.existing.size)}, {formatDate(conflict.existing.lastModified)}
+                </p>
+              </div>
+              <select
+                value={decisions[conflict.key]}
+                onChange={(e) => setDecision(conflict.key, e.target.value)}
+                className="px-2 py-1 text-sm border-2 border-gray-200 rounded-lg focus:border-aws-blue outline-none"
+              >
+                {CONFLICT_POLICIES.map(policy => (
+                  <option key={policy.value} value={policy.value}>{policy.label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-3">
+          <Button onClick={onCancel} variant="secondary">
+            Cancel upload
+          </Button>
+          <Button onClick={() => onResolve(decisions)} variant="primary" icon="Upload">
+            Continue
+          </Button>
+        </div>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default UploadConflictDialog
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Input from "@/components/atoms/Input";
+import Button from "@/components/atoms/Button";
+import bucketConfigService from "@/services/api/bucketConfigService";
+import credentialVaultService from "@/services/api/credentialVaultService";
+import s3Service from "@/services/api/s3Service";
+import uploadQueueService from "@/services/api/uploadQueueService";
+import downloadQueueService from "@/services/api/downloadQueueService";
+
+const MIN_PASSPHRASE_LENGTH = 8
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart']
+// Activity resets the idle timer at most this often
+const ACTIVITY_THROTTLE_MS = 5000
+
+// Blocks the app until the credential vault is set up or unlocked. After the first unlock the
+// app stays mounted and a later lock only covers it, so browsing state survives a re-unlock.
+const VaultGate = ({ children }) => {
+  const [initialized, setInitialized] = useState(() => credentialVaultService.isInitialized())
+  const [unlocked, setUnlocked] = useState(() => credentialVaultService.isUnlocked())
+  const [hasUnlocked, setHasUnlocked] = useState(false)
+  const [passphrase, setPassphrase] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [error, setError] = useState(null)
+  const [working, setWorking] = useState(false)
+
+  useEffect(() => {
+    return credentialVaultService.subscribe(isUnlocked => {
+      setUnlocked(isUnlocked)
+      setInitialized(credentialVaultService.isInitialized())
+      if (isUnlocked) {
+        setHasUnlocked(true)
+      } else {
+        s3Service.resetClient()
+      }
+    })
+  }, [])
+
+  // User input and running transfers both count as activity for the auto-lock
+  useEffect(() => {
+    if (!unlocked) return
+
+    let lastTouch = 0
+    const handleActivity = () => {
+      if (Date.now() - lastTouch < ACTIVITY_THROTTLE_MS) return
+      lastTouch = Date.now()
+      credentialVaultService.touch()
+    }
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }))
+    const unsubscribeUploads = uploadQueueService.subscribe(snapshot => {
+      if (snapshot.aggregate.active > 0) handleActivity()
+    })
+    const unsubscribeDownloads = downloadQueueService.subscribe(snapshot => {
+      if (snapshot.tasks.some(task => task.status === 'downloading')) handleActivity()
+    })
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity))
+      unsubscribeUploads()
+      unsubscribeDownloads()
+    }
+  }, [unlocked])
+
+  const plaintextConfigs = bucketConfigService.getVaultStatus().plaintextConfigs
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if (!initialized) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`)
+        return
+      }
+      if (passphrase !== confirmation) {
+        setError('Passphrases do not match')
+        return
+      }
+    }
+
+    try {
+      setWorking(true)
+      if (initialized) {
+        await bucketConfigService.unlock(passphrase)
+      } else {
+        await bucketConfigService.setupVault(passphrase)
+        toast.success(plaintextConfigs > 0
+          ? `Vault created and ${plaintextConfigs} saved configuration${plaintextConfigs === 1 ? '' : 's'} encrypted`
+          : 'Vault created')
+      }
+      setPassphrase('')
+      setConfirmation('')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleReset = async () => {
+    if (!window.confirm('Reset the vault? Every saved configuration and its credentials will be deleted. This cannot be undone.')) return
+
+    await bucketConfigService.resetVault()
+    // The mounted app still refers to the deleted configurations
+    if (hasUnlocked) {
+      window.location.reload()
+      return
+    }
+    setPassphrase('')
+    setError(null)
+    setInitialized(false)
+    toast.info('Vault reset. Choose a new passphrase to continue.')
+  }
+
+  const gate = (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <motion.form
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-xl max-w-md w-full p-6 space-y-4"
+      >
+        <div className="text-center">
+          <div className="w-16 h-16 bg-gradient-to-br from-aws-orange to-orange-500 rounded-full flex items-center justify-center mx-auto mb-4">
+            <ApperIcon name={initialized ? 'Lock' : 'ShieldCheck'} className="w-8 h-8 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900">
+            {initialized ? 'Unlock S3 Vault' : 'Create a master passphrase'}
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {initialized
+              ? 'Enter your master passphrase to decrypt your saved credentials.'
+              : 'Saved AWS credentials are encrypted with this passphrase. It cannot be recovered if you forget it.'}
+          </p>
+        </div>
+
+        {!initialized && plaintextConfigs > 0 && (
+          <div className="flex items-start gap-2 p-3 bg-warning/10 border border-warning/30 rounded-lg text-sm text-gray-700">
+            <ApperIcon name="AlertTriangle" className="w-4 h-4 mt-0.5 text-warning flex-shrink-0" />
+            <span>
+              {plaintextConfigs} saved configuration{plaintextConfigs === 1 ? ' stores its' : 's store their'} credentials unencrypted. They will be encrypted when the vault is created.
+            </span>
+          </div>
+        )}
+
+        <Input
+          label="Master passphrase"
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          autoFocus
+          autoComplete={initialized ? 'current-password' : 'new-password'}
+          required
+        />
+        {!initialized && (
+          <Input
+            label="Confirm passphrase"
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            autoComplete="new-password"
+            required
+          />
+        )}
+
+        {error && <p className="text-sm text-error">{error}</p>}
+
+        <Button type="submit" loading={working} icon={initialized ? 'Unlock' : 'ShieldCheck'} className="w-full">
+          {initialized ? 'Unlock' : 'Create vault'}
+        </Button>
+
+        {initialized && (
+          <button
+            type="button"
+            onClick={handleReset}
+            className="block mx-auto text-xs text-gray-500 hover:text-error"
+          >
+            Forgot your passphrase? Reset the vault
+          </button>
+        )}
+      </motion.form>
+    </div>
+  )
+
+  if (!hasUnlocked) return gate
+
+  return (
+    <>
+      {children}
+      {!unlocked && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-60 backdrop-blur-sm z-50 overflow-y-auto">
+          {gate}
+        </div>
+      )}
+    </>
+  )
+}
+
+export default VaultGate
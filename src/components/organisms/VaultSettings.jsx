@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Input from "@/components/atoms/Input";
+import Button from "@/components/atoms/Button";
+import bucketConfigService from "@/services/api/bucketConfigService";
+import credentialVaultService from "@/services/api/credentialVaultService";
+import uploadQueueService from "@/services/api/uploadQueueService";
+import downloadQueueService from "@/services/api/downloadQueueService";
+
+const MIN_PASSPHRASE_LENGTH = 8
+const LOCK_OPTIONS = [
+  { value: 5, label: 'After 5 minutes idle' },
+  { value: 15, label: 'After 15 minutes idle' },
+  { value: 30, label: 'After 30 minutes idle' },
+  { value: 60, label: 'After 1 hour idle' },
+  { value: 0, label: 'Never' }
+]
+
+const countActiveTransfers = () =>
+  uploadQueueService.getSnapshot().aggregate.active +
+  downloadQueueService.getSnapshot().tasks.filter(task => task.status === 'downloading').length
+
+// Auto-lock timeout, manual lock and passphrase change for the credential vault
+const VaultSettings = ({ className = "" }) => {
+  const [lockMinutes, setLockMinutes] = useState(() => credentialVaultService.getLockMinutes())
+  const [showChangeForm, setShowChangeForm] = useState(false)
+  const [passphrases, setPassphrases] = useState({ current: '', next: '', confirm: '' })
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const handleLockMinutesChange = (value) => {
+    const minutes = parseInt(value, 10)
+    credentialVaultService.setLockMinutes(minutes)
+    setLockMinutes(minutes)
+  }
+
+  const handleLockNow = () => {
+    const active = countActiveTransfers()
+    if (active > 0 && !window.confirm(`${active} transfer${active === 1 ? ' is' : 's are'} still running. They will finish, but new requests need the vault unlocked. Lock now?`)) {
+      return
+    }
+    bucketConfigService.lock()
+  }
+
+  const handleChangePassphrase = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if (passphrases.next.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`)
+      return
+    }
+    if (passphrases.next !== passphrases.confirm) {
+      setError('New passphrases do not match')
+      return
+    }
+
+    try {
+      setSaving(true)
+      await bucketConfigService.changePassphrase(passphrases.current, passphrases.next)
+      setPassphrases({ current: '', next: '', confirm: '' })
+      setShowChangeForm(false)
+      toast.success('Master passphrase changed')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`card p-4 space-y-4 ${className}`}
+    >
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <ApperIcon name="ShieldCheck" className="w-5 h-5 text-success" />
+          <div>
+            <h3 className="font-semibold text-gray-900">Credential Vault</h3>
+            <p className="text-sm text-gray-600">Saved credentials are encrypted with your master passphrase</p>
+          </div>
+        </div>
+        <Button onClick={handleLockNow} variant="outline" size="sm" icon="Lock">
+          Lock now
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Auto-lock
+          <select
+            value={lockMinutes}
+            onChange={(e) => handleLockMinutesChange(e.target.value)}
+            className="px-2 py-1 border-2 border-gray-200 rounded-lg focus:border-aws-blue outline-none"
+          >
+            {LOCK_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <Button
+          onClick={() => {
+            setShowChangeForm(!showChangeForm)
+            setError(null)
+          }}
+          variant="ghost"
+          size="sm"
+          icon={showChangeForm ? 'X' : 'KeyRound'}
+        >
+          {showChangeForm ? 'Cancel' : 'Change passphrase'}
+        </Button>
+      </div>
+
+      {showChangeForm && (
+        <form onSubmit={handleChangePassphrase} className="space-y-3 pt-4 border-t border-gray-200">
+          <Input
+            label="Current passphrase"
+            type="password"
+            value={passphrases.current}
+            onChange={(e) => setPassphrases(prev => ({ ...prev, current: e.target.value }))}
+            autoComplete="current-password"
+            required
+          />
+          <Input
+            label="New passphrase"
+            type="password"
+            value={passphrases.next}
+            onChange={(e) => setPassphrases(prev => ({ ...prev, next: e.target.value }))}
+            autoComplete="new-password"
+            required
+          />
+          <Input
+            label="Confirm new passphrase"
+            type="password"
+            value={passphrases.confirm}
+            onChange={(e) => setPassphrases(prev => ({ ...prev, confirm: e.target.value }))}
+            autoComplete="new-password"
+            required
+          />
+          {error && <p className="text-sm text-error">{error}</p>}
+          <Button type="submit" loading={saving} size="sm" icon="Save">
+            Change passphrase
+          </Button>
+        </form>
+      )}
+    </motion.div>
+  )
+}
+
+export default VaultSettings
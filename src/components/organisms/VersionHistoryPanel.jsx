@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Error from "@/components/ui/Error";
+import Loading from "@/components/ui/Loading";
+import s3Service from "@/services/api/s3Service";
+
+const VersionHistoryPanel = ({ file, service = s3Service, onClose, onChanged, canRestore = true, canUndelete = true }) => {
+  const [versions, setVersions] = useState([])
+  const [versioningStatus, setVersioningStatus] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyVersionId, setBusyVersionId] = useState(null)
+
+  useEffect(() => {
+    loadVersions()
+  }, [file])
+
+  const loadVersions = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [status, history] = await Promise.all([
+        service.getVersioningStatus().catch(() => null),
+        service.listObjectVersions(file.key)
+      ])
+      setVersioningStatus(status)
+      setVersions(history)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Popup blockers only allow windows opened during the click, so the preview window is opened
+  // before the URL is signed; downloads need no window at all
+  const openVersion = async (version, download) => {
+    const previewWindow = download ? null : window.open('', '_blank')
+    if (previewWindow) previewWindow.opener = null
+
+    try {
+      const fileName = file.key.split('/').pop()
+      const fileType = service.getFileType(file.key)
+      const { url } = await service.getPresignedUrl(file.key, 15 * 60, {
+        versionId: version.versionId,
+        contentDisposition: download ? `attachment; filename="${fileName.replace(/"/g, '')}"` : 'inline',
+        contentType: !download && fileType !== 'application/octet-stream' ? fileType : undefined
+      })
+
+      if (download) {
+        const link = document.createElement('a')
+        link.href = url
+        link.download = fileName
+        document.body.appendChild(link)
+        link.click()
+        document.body.removeChild(link)
+      } else if (previewWindow) {
+        previewWindow.location.href = url
+      } else {
+        toast.error('Allow pop-ups for this site to preview old versions')
+      }
+    } catch (err) {
+      previewWindow?.close()
+      toast.error(err.message)
+    }
+  }
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore the version from ${formatDate(version.lastModified)}? It will become the current version.`)) return
+
+    try {
+      setBusyVersionId(version.versionId)
+      await service.restoreVersion(file.key, version.versionId, version.size)
+      toast.success(`Restored ${file.name}`)
+      await loadVersions()
+      onChanged?.()
+    } catch (err) {
+      toast.error(err.message)
+    } finally {
+      setBusyVersionId(null)
+    }
+  }
+
+  const handleUndelete = async (marker) => {
+    try {
+      setBusyVersionId(marker.versionId)
+      await service.undeleteFile(file.key, marker.versionId)
+      toast.success(`Undeleted ${file.name}`)
+      await loadVersions()
+      onChanged?.()
+    } catch (err) {
+      toast.error(err.message)
+    } finally {
+      setBusyVersionId(null)
+    }
+  }
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes'
+    const k = 1024
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+  }
+
+  const formatDate = (dateString) => {
+    return dateString ? format(new Date(dateString), 'MMM dd, yyyy HH:mm:ss') : '-'
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.8, opacity: 0 }}
+        className="bg-white rounded-lg max-w-2xl w-full mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold truncate">Version history: {file.name}</h3>
+            {versioningStatus && (
+              <p className="text-sm text-gray-600">Bucket versioning: {versioningStatus}</p>
+            )}
+          </div>
+          <Button onClick={onClose} variant="ghost" size="sm" icon="X" />
+        </div>
+
+        <div className="p-4 overflow-y-auto">
+          {loading && <Loading />}
+          {!loading && error && <Error message={error} onRetry={loadVersions} />}
+
+          {!loading && !error && versions.length === 0 && (
+            <p className="text-center text-gray-500 py-8">No versions found for this object</p>
+          )}
+
+          {!loading && !error && versions.length > 0 && (
+            <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {versions.map(version => (
+                <div key={version.versionId || 'null'} className="flex items-center gap-3 px-4 py-3">
+                  <ApperIcon
+                    name={version.isDeleteMarker ? 'FileX' : 'FileClock'}
+                    className={`w-5 h-5 flex-shrink-0 ${version.isDeleteMarker ? 'text-error' : 'text-aws-blue'}`}
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-gray-900">
+                        {version.isDeleteMarker ? 'Delete marker' : formatFileSize(version.size)}
+                      </span>
+                      {version.isLatest && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-aws-orange/10 text-aws-orange">Current</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 truncate" title={version.versionId}>
+                      {formatDate(version.lastModified)} • {version.versionId}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-1">
+                    {!version.isDeleteMarker && (
+                      <>
+                        <Button
+                          onClick={() => openVersion(version, false)}
+                          variant="ghost"
+                          size="sm"
+                          icon="Eye"
+                          className="text-purple-600 hover:text-purple-600 hover:bg-purple-600/10"
+                        />
+                        <Button
+                          onClick={() => openVersion(version, true)}
+                          variant="ghost"
+                          size="sm"
+                          icon="Download"
+                          className="text-aws-blue hover:text-aws-blue hover:bg-aws-blue/10"
+                        />
+                      </>
+                    )}
+                    {!version.isDeleteMarker && !version.isLatest && canRestore && (
+                      <Button
+                        onClick={() => handleRestore(version)}
+                        loading={busyVersionId === version.versionId}
+                        variant="outline"
+                        size="sm"
+                        icon="RotateCcw"
+                      >
+                        Restore
+                      </Button>
+                    )}
+                    {version.isDeleteMarker && version.isLatest && canUndelete && (
+                      <Button
+                        onClick={() => handleUndelete(version)}
+                        loading={busyVersionId === version.versionId}
+                        variant="outline"
+                        size="sm"
+                        icon="Undo2"
+                      >
+                        Undelete
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default VersionHistoryPanel
@@ -3,9 +3,13 @@ import { motion } from "framer-motion";
 import { toast } from "react-toastify";
 import ApperIcon from "@/components/ApperIcon";
 import ConfigurationPanel from "@/components/organisms/ConfigurationPanel";
+import DownloadsPanel from "@/components/organisms/DownloadsPanel";
 import FileUploader from "@/components/organisms/FileUploader";
-import FileBrowser from "@/components/organisms/FileBrowser";
+import BucketTabs from "@/components/organisms/BucketTabs";
+import CommanderView from "@/components/organisms/CommanderView";
+import SessionStatus from "@/components/organisms/SessionStatus";
 import bucketConfigService from "@/services/api/bucketConfigService";
+import s3WorkspaceService from "@/services/api/s3WorkspaceService";
 
 // Utility function to ensure objects are serializable (prevent DataCloneError)
 const makeSerializable = (obj) => {
@@ -22,14 +26,27 @@ const makeSerializable = (obj) => {
 
 const S3ManagerPage = () => {
 const [activeConfig, setActiveConfig] = useState(null)
-  const [currentPath, setCurrentPath] = useState('')
+  const [workspace, setWorkspace] = useState(() => s3WorkspaceService.getSnapshot())
   const [activeTab, setActiveTab] = useState('browser')
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
     loadActiveConfig()
+    return s3WorkspaceService.subscribe(setWorkspace)
   }, [])
 
+  // The active configuration always has a tab when nothing else is open
+  useEffect(() => {
+    if (activeConfig && workspace.tabs.length === 0) {
+      s3WorkspaceService.openTab(activeConfig.Id)
+    }
+  }, [activeConfig?.Id])
+
+  const selectedTab = workspace.tabs.find(tab => tab.configId === workspace.selectedConfigId)
+  const currentPath = selectedTab?.path || ''
+  // The dual-pane browser needs the full width, so the sidebar moves above it
+  const dualPane = activeTab === 'browser' && workspace.layout === 'dual'
+
   const loadActiveConfig = async () => {
     try {
       setLoading(true)
@@ -79,10 +96,6 @@ const handleConfigSaved = (config) => {
     }
   }
 
-  const handlePathChange = (newPath) => {
-    setCurrentPath(newPath)
-  }
-
 const handleUploadComplete = () => {
     // Refresh file browser if it's the active tab
     if (activeTab === 'browser') {
@@ -164,18 +177,21 @@ const handleRefresh = () => {
             </div>
 
             {activeConfig && (
-              <div className="flex items-center gap-2">
-                <div className="w-2 h-2 bg-success rounded-full animate-pulse" />
-                <span className="text-sm text-gray-700">
-                  Connected to <span className="font-medium">{activeConfig.bucketName}</span>
-                </span>
+              <div className="flex items-center gap-6">
+                <SessionStatus configId={activeConfig.Id} />
+                <div className="flex items-center gap-2">
+                  <div className="w-2 h-2 bg-success rounded-full animate-pulse" />
+                  <span className="text-sm text-gray-700">
+                    Connected to <span className="font-medium">{activeConfig.bucketName}</span>
+                  </span>
+                </div>
               </div>
             )}
           </div>
         </div>
       </header>
 
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className={`${dualPane ? 'max-w-screen-2xl' : 'max-w-7xl'} mx-auto px-4 sm:px-6 lg:px-8 py-8`}>
         {!activeConfig ? (
           /* Configuration Setup */
           <motion.div
@@ -197,9 +213,9 @@ const handleRefresh = () => {
           /* Main Application */
           <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
             {/* Sidebar */}
-            <div className="lg:col-span-1">
-              <div className="card p-6 sticky top-8">
-                <nav className="space-y-2">
+            <div className={dualPane ? 'lg:col-span-4' : 'lg:col-span-1'}>
+              <div className={`card ${dualPane ? 'p-3' : 'p-6 sticky top-8'}`}>
+                <nav className={dualPane ? 'grid grid-cols-3 gap-2' : 'space-y-2'}>
                   <button
                     onClick={() => setActiveTab('browser')}
                     className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg text-left transition-all duration-200 ${
@@ -238,7 +254,7 @@ const handleRefresh = () => {
                 </nav>
 
                 {/* Current Path Display */}
-                {currentPath && (
+                {currentPath && !dualPane && (
                   <div className="mt-6 pt-6 border-t border-gray-200">
                     <h3 className="text-sm font-medium text-gray-700 mb-2">Current Location</h3>
                     <div className="bg-gray-50 rounded-lg p-3">
@@ -253,7 +269,7 @@ const handleRefresh = () => {
             </div>
 
             {/* Main Content */}
-            <div className="lg:col-span-3">
+            <div className={dualPane ? 'lg:col-span-4' : 'lg:col-span-3'}>
               <motion.div
                 key={activeTab}
                 initial={{ opacity: 0, x: 20 }}
@@ -262,24 +278,55 @@ const handleRefresh = () => {
                 className="min-h-96"
               >
                 {activeTab === 'browser' && (
-                  <FileBrowser
-                    currentPath={currentPath}
-                    onPathChange={handlePathChange}
-                    onRefresh={handleRefresh}
-                  />
+                  <div className="space-y-4">
+                    <div className="flex justify-end">
+                      <div className="inline-flex rounded-lg border-2 border-gray-200 overflow-hidden text-sm">
+                        {[['tabs', 'Tabs', 'PanelTop'], ['dual', 'Dual pane', 'Columns2']].map(([value, label, icon]) => (
+                          <button
+                            key={value}
+                            onClick={() => s3WorkspaceService.setLayout(value)}
+                            className={`flex items-center gap-2 px-3 py-1.5 transition-colors ${
+                              workspace.layout === value ? 'bg-aws-blue text-white' : 'text-gray-700 hover:bg-gray-100'
+                            }`}
+                          >
+                            <ApperIcon name={icon} className="w-4 h-4" />
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    {workspace.layout === 'dual' ? (
+                      <CommanderView workspace={workspace} onRefresh={handleRefresh} />
+                    ) : (
+                      <BucketTabs workspace={workspace} onRefresh={handleRefresh} />
+                    )}
+                  </div>
                 )}
 
                 {activeTab === 'upload' && (
-                  <FileUploader
-                    currentPath={currentPath}
-                    onUploadComplete={handleUploadComplete}
-                  />
+                  selectedTab ? (
+                    <FileUploader
+                      key={selectedTab.configId}
+                      service={s3WorkspaceService.getService(selectedTab.configId)}
+                      configId={selectedTab.configId}
+                      currentPath={currentPath}
+                      onUploadComplete={handleUploadComplete}
+                    />
+                  ) : (
+                    <FileUploader
+                      currentPath={currentPath}
+                      onUploadComplete={handleUploadComplete}
+                    />
+                  )
                 )}
 
                 {activeTab === 'config' && (
                   <ConfigurationPanel onConfigSaved={handleConfigSaved} />
                 )}
               </motion.div>
+
+              {/* One panel for the shared download queue, whichever view started the download */}
+              <DownloadsPanel className="mt-8" />
             </div>
           </div>
         )}
@@ -0,0 +1,68 @@
+// AWS regions that host S3, grouped by partition. Each partition has its own endpoints and
+// credentials, so keys from one never work in another.
+export const AWS_REGION_GROUPS = [
+  {
+    partition: 'aws',
+    label: 'AWS (commercial)',
+    regions: [
+      { code: 'us-east-1', name: 'US East (N. Virginia)' },
+      { code: 'us-east-2', name: 'US East (Ohio)' },
+      { code: 'us-west-1', name: 'US West (N. California)' },
+      { code: 'us-west-2', name: 'US West (Oregon)' },
+      { code: 'af-south-1', name: 'Africa (Cape Town)' },
+      { code: 'ap-east-1', name: 'Asia Pacific (Hong Kong)' },
+      { code: 'ap-south-1', name: 'Asia Pacific (Mumbai)' },
+      { code: 'ap-south-2', name: 'Asia Pacific (Hyderabad)' },
+      { code: 'ap-southeast-1', name: 'Asia Pacific (Singapore)' },
+      { code: 'ap-southeast-2', name: 'Asia Pacific (Sydney)' },
+      { code: 'ap-southeast-3', name: 'Asia Pacific (Jakarta)' },
+      { code: 'ap-southeast-4', name: 'Asia Pacific (Melbourne)' },
+      { code: 'ap-southeast-5', name: 'Asia Pacific (Malaysia)' },
+      { code: 'ap-southeast-7', name: 'Asia Pacific (Thailand)' },
+      { code: 'ap-northeast-1', name: 'Asia Pacific (Tokyo)' },
+      { code: 'ap-northeast-2', name: 'Asia Pacific (Seoul)' },
+      { code: 'ap-northeast-3', name: 'Asia Pacific (Osaka)' },
+      { code: 'ca-central-1', name: 'Canada (Central)' },
+      { code: 'ca-west-1', name: 'Canada West (Calgary)' },
+      { code: 'eu-central-1', name: 'Europe (Frankfurt)' },
+      { code: 'eu-central-2', name: 'Europe (Zurich)' },
+      { code: 'eu-west-1', name: 'Europe (Ireland)' },
+      { code: 'eu-west-2', name: 'Europe (London)' },
+      { code: 'eu-west-3', name: 'Europe (Paris)' },
+      { code: 'eu-north-1', name: 'Europe (Stockholm)' },
+      { code: 'eu-south-1', name: 'Europe (Milan)' },
+      { code: 'eu-south-2', name: 'Europe (Spain)' },
+      { code: 'il-central-1', name: 'Israel (Tel Aviv)' },
+      { code: 'me-south-1', name: 'Middle East (Bahrain)' },
+      { code: 'me-central-1', name: 'Middle East (UAE)' },
+      { code: 'mx-central-1', name: 'Mexico (Central)' },
+      { code: 'sa-east-1', name: 'South America (São Paulo)' }
+    ]
+  },
+  {
+    partition: 'aws-us-gov',
+    label: 'AWS GovCloud (US)',
+    regions: [
+      { code: 'us-gov-east-1', name: 'AWS GovCloud (US-East)' },
+      { code: 'us-gov-west-1', name: 'AWS GovCloud (US-West)' }
+    ]
+  },
+  {
+    partition: 'aws-cn',
+    label: 'AWS China',
+    regions: [
+      { code: 'cn-north-1', name: 'China (Beijing)' },
+      { code: 'cn-northwest-1', name: 'China (Ningxia)' }
+    ]
+  }
+]
+
+export const isKnownRegion = (code) =>
+  AWS_REGION_GROUPS.some(group => group.regions.some(region => region.code === code))
+
+// A region in the same partition as `code`; region lookups must stay inside one partition
+export const partitionDefaultRegion = (code = '') => {
+  if (code.startsWith('cn-')) return 'cn-north-1'
+  if (code.startsWith('us-gov-')) return 'us-gov-west-1'
+  return 'us-east-1'
+}
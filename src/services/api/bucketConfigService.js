@@ -1,4 +1,21 @@
+import {
+  DeleteObjectCommand,
+  GetBucketAclCommand,
+  GetBucketLocationCommand,
+  GetBucketVersioningCommand,
+  GetObjectTaggingCommand,
+  HeadBucketCommand,
+  HeadObjectCommand,
+  ListObjectVersionsCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  PutObjectTaggingCommand
+} from '@aws-sdk/client-s3'
 import bucketConfigsData from '@/services/mockData/bucketConfigs.json'
+import { createS3Client, diagnoseS3Error, getErrorRegion, resolveEndpoint, stripEndpointScheme } from '@/services/api/s3ClientFactory'
+import { isKnownRegion, partitionDefaultRegion } from '@/services/api/awsRegions'
+import credentialVaultService from '@/services/api/credentialVaultService'
+import sessionCredentialsService, { usesAssumeRole } from '@/services/api/sessionCredentialsService'
 
 // Utility function to ensure objects are serializable (prevent DataCloneError)
 const makeSerializable = (obj) => {
@@ -13,31 +30,281 @@ const makeSerializable = (obj) => {
   }
 }
 
+// Order matters when several checks fail: the first kind found explains the others
+const DIAGNOSIS_PRIORITY = ['network', 'credentials', 'region', 'notFound', 'accessDenied', 'unknown']
+
+export const DEFAULT_SCRATCH_PREFIX = '.s3-vault-probe/'
+
+// Operations shown in the permission matrix, in display order
+export const PERMISSION_OPERATIONS = ['list', 'read', 'write', 'delete', 'tagging', 'versioning', 'acl']
+
+// GetBucketLocation reports us-east-1 as an empty constraint and eu-west-1 by its legacy name
+const normalizeLocation = (constraint) => {
+  if (!constraint) return 'us-east-1'
+  if (constraint === 'EU') return 'eu-west-1'
+  return constraint
+}
+
+const BUCKET_NAME_RESERVED_PREFIXES = ['xn--', 'sthree-', 'amzn-s3-demo-']
+const BUCKET_NAME_RESERVED_SUFFIXES = ['-s3alias', '--ol-s3', '.mrap', '--x-s3', '--table-s3']
+
+// S3 general purpose bucket naming rules. Returns an error message, or null when the name is valid.
+export const validateBucketName = (name) => {
+  if (name.length < 3 || name.length > 63) return 'Bucket names must be 3 to 63 characters long'
+  if (!/^[a-z0-9.-]+$/.test(name)) return 'Use only lowercase letters, numbers, dots and hyphens'
+  if (!/^[a-z0-9]/.test(name) || !/[a-z0-9]$/.test(name)) return 'Bucket names must begin and end with a letter or number'
+  if (name.includes('..')) return 'Bucket names cannot contain two adjacent dots'
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(name)) return 'Bucket names cannot look like an IP address'
+  const prefix = BUCKET_NAME_RESERVED_PREFIXES.find(reserved => name.startsWith(reserved))
+  if (prefix) return `Bucket names cannot start with "${prefix}"`
+  const suffix = BUCKET_NAME_RESERVED_SUFFIXES.find(reserved => name.endsWith(reserved))
+  if (suffix) return `Bucket names cannot end with "${suffix}"`
+  return null
+}
+
+const isValidEndpointHost = (endpoint) => {
+  try {
+    return Boolean(new URL(`https://${stripEndpointScheme(endpoint)}`).hostname)
+  } catch (error) {
+    return false
+  }
+}
+
+// Field errors for configuration data, by field name; empty when it can be saved. Used by the
+// configuration form and by imports. requireSecret is off when an edit keeps the stored secret.
+export const validateConfigFields = (config, { requireSecret = true } = {}) => {
+  const value = (field) => (typeof config[field] === 'string' ? config[field].trim() : '')
+  const errors = {}
+
+  if (!value('name')) errors.name = 'Configuration name is required'
+  if (!value('accessKey')) errors.accessKey = 'Access Key is required'
+  if (requireSecret && !value('secretKey')) errors.secretKey = 'Secret Key is required'
+  // S3-compatible services name regions freely and may relax bucket naming
+  const isCustomEndpoint = Boolean(value('endpoint'))
+  if (!value('region')) {
+    errors.region = 'Region is required'
+  } else if (!isCustomEndpoint && !isKnownRegion(value('region'))) {
+    errors.region = 'Choose an AWS region'
+  }
+  if (!value('bucketName')) {
+    errors.bucketName = 'Bucket name is required'
+  } else if (!isCustomEndpoint) {
+    const bucketError = validateBucketName(value('bucketName'))
+    if (bucketError) errors.bucketName = bucketError
+  }
+  if (value('roleArn') && !value('roleArn').startsWith('arn:')) {
+    errors.roleArn = 'Enter a role ARN, e.g. arn:aws:iam::123456789012:role/S3Access'
+  }
+  if (isCustomEndpoint && !isValidEndpointHost(config.endpoint)) {
+    errors.endpoint = 'Enter a host name with an optional port, e.g. localhost:9000'
+  }
+
+  return errors
+}
+
+// Stored only inside each configuration's encrypted `secrets` blob
+const SECRET_FIELDS = ['accessKey', 'secretKey', 'sessionToken']
+
+const stripSecrets = (config) => {
+  const copy = { ...config }
+  SECRET_FIELDS.forEach(field => delete copy[field])
+  return copy
+}
+
+const pickSecrets = (config) =>
+  Object.fromEntries(SECRET_FIELDS.filter(field => config[field]).map(field => [field, config[field]]))
+
+// Each config keeps its most recent updates in auditLog: [{ updatedAt, previousUpdatedAt, changes, imported }]
+const AUDIT_LOG_LIMIT = 50
+const AUDIT_IGNORED_FIELDS = ['Id', 'createdAt', 'updatedAt', 'auditLog', 'permissions']
+
+// Empty values of any type count as the same, so filling in an optional field later is a change
+// but saving an untouched form is not
+const auditValue = (value) =>
+  (value === undefined || value === null || value === '' || value === false ? '' : JSON.stringify(value))
+
+// Field names only; secret values never reach the log
+const changedFields = (before, after) =>
+  Object.keys(after).filter(field =>
+    !AUDIT_IGNORED_FIELDS.includes(field) && auditValue(before[field]) !== auditValue(after[field]))
+
+// Client for a saved config or unsaved form data. Role configurations sign with the role
+// session; form data may carry mfaTokenCode (never saved) to start one.
+const createConfigClient = async (configData) => {
+  if (!usesAssumeRole(configData)) return createS3Client(configData)
+
+  const credentials = configData.mfaTokenCode && !sessionCredentialsService.hasUsableSession(configData)
+    ? await sessionCredentialsService.startSession(configData, configData.mfaTokenCode)
+    : await sessionCredentialsService.getCredentials(configData)
+  return createS3Client(configData, { credentials })
+}
+
+// True unless a probe showed the operation is denied; unprobed configs allow everything
+export const hasPermission = (permissions, operation) =>
+  permissions?.results?.[operation]?.status !== 'denied'
+
 class BucketConfigService {
   constructor() {
     this.configs = [...bucketConfigsData]
+    // Encrypted secrets by config Id, as stored; decrypted into this.configs on unlock
+    this.storedSecrets = new Map()
+    // Blobs under the previous passphrase, only present if a passphrase change was interrupted
+    this.previousSecrets = new Map()
+    // Bumped per config whenever something an S3 client is built from changes
+    this.revisions = new Map()
+    this.listeners = new Set()
     this.loadFromLocalStorage()
+
+    credentialVaultService.subscribe(unlocked => {
+      if (!unlocked) {
+        this.configs = this.configs.map(stripSecrets)
+      }
+    })
+  }
+
+  // listener(type, ids) with type one of created, updated, deleted, activated, imported,
+  // permissions, rekeyed (secrets re-encrypted, values unchanged) or reloaded (every
+  // configuration may have changed)
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notifyChange(type, ids = []) {
+    if (['updated', 'deleted', 'reloaded'].includes(type)) {
+      ids.forEach(id => this.revisions.set(id, (this.revisions.get(id) || 0) + 1))
+    }
+    this.listeners.forEach(listener => listener(type, ids))
+  }
+
+  // Changes whenever a client built for this config would be out of date. A null configId means
+  // "whichever config is active", so switching the active config changes it too.
+  getRevision(configId = null) {
+    const id = configId ?? this.configs.find(c => c.isActive)?.Id ?? null
+    return `${configId === null ? 'active:' : ''}${id}:${this.revisions.get(id) || 0}`
   }
 
   loadFromLocalStorage() {
     try {
       const stored = localStorage.getItem('s3-vault-configs')
       if (stored) {
-        this.configs = JSON.parse(stored)
+        const parsed = JSON.parse(stored)
+        this.storedSecrets = new Map(parsed.filter(c => c.secrets).map(c => [c.Id, c.secrets]))
+        this.previousSecrets = new Map(parsed.filter(c => c.previousSecrets).map(c => [c.Id, c.previousSecrets]))
+        this.configs = parsed.map(({ secrets, previousSecrets, ...config }) => config)
       }
     } catch (error) {
       console.warn('Failed to load configs from localStorage:', error)
     }
   }
 
-  saveToLocalStorage() {
+  // Secrets are encrypted with the vault key; configs whose secrets aren't in memory
+  // (vault locked) keep their previously stored blob
+  async saveToLocalStorage() {
+    for (const config of this.configs) {
+      if (SECRET_FIELDS.some(field => config[field])) {
+        this.storedSecrets.set(config.Id, await credentialVaultService.encrypt(pickSecrets(config)))
+      }
+    }
+    this.writeStoredConfigs()
+  }
+
+  serializeConfigs(storedSecrets = this.storedSecrets, previousSecrets = this.previousSecrets) {
+    return JSON.stringify(this.configs.map(config => {
+      const secrets = storedSecrets.get(config.Id)
+      const previous = previousSecrets.get(config.Id)
+      return { ...stripSecrets(config), ...(secrets && { secrets }), ...(previous && { previousSecrets: previous }) }
+    }))
+  }
+
+  writeStoredConfigs() {
     try {
-      localStorage.setItem('s3-vault-configs', JSON.stringify(this.configs))
+      localStorage.setItem('s3-vault-configs', this.serializeConfigs())
     } catch (error) {
       console.warn('Failed to save configs to localStorage:', error)
     }
   }
 
+  getVaultStatus() {
+    return {
+      initialized: credentialVaultService.isInitialized(),
+      unlocked: credentialVaultService.isUnlocked(),
+      // Configurations saved before the vault existed still hold plaintext secrets
+      plaintextConfigs: this.configs.filter(config => !this.storedSecrets.has(config.Id) && config.secretKey).length
+    }
+  }
+
+  // First run: create the vault and encrypt any plaintext secrets already saved
+  async setupVault(passphrase) {
+    await credentialVaultService.setup(passphrase)
+    await this.saveToLocalStorage()
+  }
+
+  async unlock(passphrase) {
+    await credentialVaultService.unlock(passphrase)
+
+    const interrupted = this.previousSecrets.size > 0
+    this.configs = await Promise.all(this.configs.map(async config => {
+      // After an interrupted passphrase change only one of the two blobs matches the saved keystore
+      const blobs = [this.storedSecrets.get(config.Id), this.previousSecrets.get(config.Id)].filter(Boolean)
+      for (const blob of blobs) {
+        try {
+          return { ...config, ...await credentialVaultService.decrypt(blob) }
+        } catch (error) {
+          // Try the next blob
+        }
+      }
+      if (blobs.length > 0) console.warn(`Failed to decrypt secrets for ${config.name}`)
+      return config
+    }))
+
+    if (interrupted) {
+      this.previousSecrets = new Map()
+      await this.saveToLocalStorage()
+    } else if (this.getVaultStatus().plaintextConfigs > 0) {
+      await this.saveToLocalStorage()
+    }
+    this.notifyChange('reloaded', this.configs.map(c => c.Id))
+  }
+
+  lock() {
+    credentialVaultService.lock()
+  }
+
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    await credentialVaultService.changePassphrase(currentPassphrase, newPassphrase, async (decrypt, encrypt, saveKeystore) => {
+      const reencrypted = new Map()
+      for (const [id, blob] of this.storedSecrets) {
+        reencrypted.set(id, await encrypt(await decrypt(blob)))
+      }
+
+      // Old and new blobs are stored together until the new keystore is saved, so whichever
+      // keystore survives a crash in between, unlock finds blobs it can decrypt
+      localStorage.setItem('s3-vault-configs', this.serializeConfigs(reencrypted, this.storedSecrets))
+      try {
+        saveKeystore()
+      } catch (error) {
+        this.writeStoredConfigs()
+        throw error
+      }
+
+      this.storedSecrets = reencrypted
+      this.previousSecrets = new Map()
+      this.writeStoredConfigs()
+    })
+    this.notifyChange('rekeyed', this.configs.map(c => c.Id))
+  }
+
+  // Forgotten passphrase: the encrypted secrets are unrecoverable, so every configuration goes
+  async resetVault() {
+    credentialVaultService.reset()
+    const ids = this.configs.map(c => c.Id)
+    this.configs = []
+    this.storedSecrets = new Map()
+    this.writeStoredConfigs()
+    this.notifyChange('reloaded', ids)
+  }
+
 async getAll() {
     await new Promise(resolve => setTimeout(resolve, 300))
     return makeSerializable([...this.configs])
@@ -64,16 +331,19 @@ async create(configData) {
     // Deactivate all other configs
     this.configs.forEach(c => c.isActive = false)
     
+    // MFA codes are single-use and never stored
+    const { mfaTokenCode, ...fields } = configData
     const newConfig = {
       Id: Math.max(...this.configs.map(c => c.Id), 0) + 1,
-      ...configData,
+      ...fields,
       isActive: true,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     }
     
     this.configs.push(newConfig)
-    this.saveToLocalStorage()
+    await this.saveToLocalStorage()
+    this.notifyChange('created', [newConfig.Id])
     return makeSerializable({ ...newConfig })
   }
 
@@ -90,15 +360,25 @@ async update(id, configData) {
       this.configs.forEach(c => c.isActive = false)
     }
 
-    this.configs[index] = { 
-      ...this.configs[index], 
-      ...configData,
-      updatedAt: new Date().toISOString()
-    }
-    this.saveToLocalStorage()
+    const { mfaTokenCode, ...fields } = configData
+    const previous = this.configs[index]
+    this.configs[index] = this.withAuditEntry({ ...previous, ...fields }, previous)
+    await this.saveToLocalStorage()
+    this.notifyChange('updated', [previous.Id])
     return makeSerializable({ ...this.configs[index] })
   }
 
+  // Stamp updatedAt and log which fields changed since `previous`
+  withAuditEntry(config, previous) {
+    const updatedAt = new Date().toISOString()
+    const entry = { updatedAt, previousUpdatedAt: previous.updatedAt || null, changes: changedFields(previous, config) }
+    return {
+      ...config,
+      updatedAt,
+      auditLog: [entry, ...(previous.auditLog || [])].slice(0, AUDIT_LOG_LIMIT)
+    }
+  }
+
   async delete(id) {
     await new Promise(resolve => setTimeout(resolve, 300))
     
@@ -107,8 +387,11 @@ async update(id, configData) {
       throw new Error('Configuration not found')
     }
 
+    const configId = this.configs[index].Id
+    this.storedSecrets.delete(configId)
     this.configs.splice(index, 1)
-    this.saveToLocalStorage()
+    await this.saveToLocalStorage()
+    this.notifyChange('deleted', [configId])
     return true
   }
 
@@ -120,27 +403,273 @@ async setActive(id) {
       throw new Error('Configuration not found')
     }
 
+    const wasActive = config.isActive
+
     // Deactivate all configs
     this.configs.forEach(c => c.isActive = false)
     
     // Activate the selected config
-    config.isActive = true
-    config.updatedAt = new Date().toISOString()
-    this.saveToLocalStorage()
-    return makeSerializable({ ...config })
+    const index = this.configs.indexOf(config)
+    this.configs[index] = this.withAuditEntry({ ...config, isActive: true }, { ...config, isActive: wasActive })
+    await this.saveToLocalStorage()
+    this.notifyChange('activated', [config.Id])
+    return makeSerializable({ ...this.configs[index] })
+  }
+
+  // Add several configurations at once (from an import). The first becomes active only when
+  // nothing is active yet. Nothing is imported if any configuration fails validation.
+  async importConfigs(configsData) {
+    await new Promise(resolve => setTimeout(resolve, 400))
+
+    configsData.forEach(config => {
+      const [message] = Object.values(validateConfigFields(config))
+      if (message) throw new Error(`${config.name?.trim() || 'Unnamed profile'}: ${message}`)
+    })
+
+    const now = new Date().toISOString()
+    let nextId = Math.max(...this.configs.map(c => c.Id), 0) + 1
+    const activate = !this.configs.some(c => c.isActive)
+
+    const imported = configsData.map(({ mfaTokenCode, ...fields }, index) => ({
+      ...fields,
+      Id: nextId++,
+      isActive: activate && index === 0,
+      createdAt: now,
+      updatedAt: now,
+      auditLog: [{ updatedAt: now, previousUpdatedAt: null, changes: changedFields({}, fields), imported: true }]
+    }))
+
+    this.configs.push(...imported)
+    await this.saveToLocalStorage()
+    this.notifyChange('imported', imported.map(c => c.Id))
+    return makeSerializable(imported)
   }
 
+  // Runs HeadBucket, GetBucketLocation and a one-key ListObjectsV2 against the given settings.
+  // Resolves with { success, message, detectedRegion, checks: [{ operation, status, code, message }] }
+  // where status is 'passed', 'warning' (not needed to browse) or 'failed'.
   async testConnection(configData) {
-    await new Promise(resolve => setTimeout(resolve, 1000))
-    
-    // Mock connection test - randomly succeed or fail for demo
-    const success = Math.random() > 0.3
-    
-    if (!success) {
-      throw new Error('Failed to connect to AWS S3. Please check your credentials and try again.')
+    const bucket = configData.bucketName
+    const checks = []
+
+    let client
+    try {
+      client = await createConfigClient(configData)
+    } catch (error) {
+      return makeSerializable({
+        success: false,
+        message: error.message,
+        detectedRegion: null,
+        checks: [{ operation: 'AssumeRole', status: 'failed', code: null, message: error.message }]
+      })
     }
-    
-    return { success: true, message: 'Connection successful!' }
+    if (usesAssumeRole(configData)) {
+      checks.push({ operation: 'AssumeRole', status: 'passed', code: null, message: 'OK' })
+    }
+    const diagnoses = []
+    let detectedRegion = null
+
+    const run = async (operation, send, { optional = false } = {}) => {
+      try {
+        const response = await send()
+        checks.push({ operation, status: 'passed', code: null, message: 'OK' })
+        return response
+      } catch (error) {
+        const diagnosis = diagnoseS3Error(error, operation)
+        diagnoses.push(diagnosis)
+        detectedRegion = detectedRegion || diagnosis.region
+        checks.push({
+          operation,
+          status: optional && diagnosis.kind === 'accessDenied' ? 'warning' : 'failed',
+          code: diagnosis.code,
+          message: diagnosis.message
+        })
+        return null
+      }
+    }
+
+    try {
+      const head = await run('HeadBucket', () => client.send(new HeadBucketCommand({ Bucket: bucket })))
+      detectedRegion = detectedRegion || head?.BucketRegion || null
+
+      const location = await run(
+        'GetBucketLocation',
+        () => client.send(new GetBucketLocationCommand({ Bucket: bucket })),
+        { optional: true }
+      )
+      if (location) {
+        detectedRegion = normalizeLocation(location.LocationConstraint)
+      }
+
+      await run('ListObjectsV2', () => client.send(new ListObjectsV2Command({ Bucket: bucket, MaxKeys: 1 })))
+    } finally {
+      client.destroy()
+    }
+
+    // S3-compatible services report their own location names, so only AWS buckets are compared
+    const regionMismatch = !resolveEndpoint(configData) && detectedRegion && detectedRegion !== configData.region
+    const failed = checks.some(check => check.status === 'failed')
+    const primary = DIAGNOSIS_PRIORITY
+      .map(kind => diagnoses.find(diagnosis => diagnosis.kind === kind))
+      .find(Boolean)
+
+    let message = 'Connection successful!'
+    if (failed) {
+      message = primary?.message || 'Connection test failed.'
+    } else if (regionMismatch) {
+      message = `Connected, but the bucket is in ${detectedRegion}. Using that region avoids redirects.`
+    }
+
+    return makeSerializable({
+      success: !failed,
+      message,
+      detectedRegion: regionMismatch ? detectedRegion : null,
+      checks
+    })
+  }
+
+  // Find the region an AWS bucket lives in. HeadBucket answers with the region even when it
+  // redirects (301) or denies access; GetBucketLocation is the fallback when that header is
+  // hidden from the browser. Lookups start in the partition of the currently selected region.
+  async detectRegion(configData) {
+    if (resolveEndpoint(configData)) {
+      throw new Error('Region detection only works for AWS buckets')
+    }
+
+    const client = await createConfigClient({ ...configData, region: partitionDefaultRegion(configData.region) })
+    const Bucket = configData.bucketName
+
+    try {
+      try {
+        const head = await client.send(new HeadBucketCommand({ Bucket }))
+        if (head.BucketRegion) return head.BucketRegion
+      } catch (error) {
+        const region = getErrorRegion(error)
+        if (region) return region
+        if (diagnoseS3Error(error, 'HeadBucket').kind === 'notFound') {
+          throw new Error('The bucket does not exist')
+        }
+      }
+
+      try {
+        const location = await client.send(new GetBucketLocationCommand({ Bucket }))
+        return normalizeLocation(location.LocationConstraint)
+      } catch (error) {
+        throw new Error(`Could not determine the bucket's region: ${diagnoseS3Error(error, 'GetBucketLocation').message}`)
+      }
+    } finally {
+      client.destroy()
+    }
+  }
+
+  // Probes what the credentials may do. Read-only calls always run; a sentinel object under
+  // scratchPrefix is written, tagged and deleted only when allowWrite is set.
+  // Each result is { status: 'allowed' | 'denied' | 'skipped' | 'unknown' | 'error', message }.
+  async probePermissions(configData, { allowWrite = false, scratchPrefix = DEFAULT_SCRATCH_PREFIX } = {}) {
+    const client = await createConfigClient(configData)
+    const Bucket = configData.bucketName
+    const results = {}
+
+    const probe = async (operation, send) => {
+      try {
+        const response = await send()
+        return { response, result: { status: 'allowed', message: 'Allowed' } }
+      } catch (error) {
+        const diagnosis = diagnoseS3Error(error, operation)
+        return {
+          response: null,
+          result: {
+            status: diagnosis.kind === 'accessDenied' ? 'denied' : 'error',
+            message: diagnosis.message
+          }
+        }
+      }
+    }
+
+    try {
+      const list = await probe('ListObjectsV2', () => client.send(new ListObjectsV2Command({ Bucket, MaxKeys: 10 })))
+      results.list = list.result
+      const sampleKey = list.response?.Contents?.find(obj => !obj.Key.endsWith('/'))?.Key || null
+
+      if (allowWrite) {
+        const prefix = scratchPrefix.replace(/^\/+/, '')
+        const sentinelKey = `${prefix}${prefix && !prefix.endsWith('/') ? '/' : ''}probe-${Date.now()}.txt`
+
+        const write = await probe('PutObject', () => client.send(new PutObjectCommand({
+          Bucket,
+          Key: sentinelKey,
+          Body: 'S3 Vault permission probe. Safe to delete.',
+          ContentType: 'text/plain'
+        })))
+        results.write = write.result
+
+        if (write.response) {
+          // On a versioned bucket a plain delete only adds a delete marker, so the probe
+          // targets the exact version it wrote
+          const VersionId = write.response.VersionId
+          const sentinel = { Bucket, Key: sentinelKey, ...(VersionId && { VersionId }) }
+
+          results.read = (await probe('HeadObject', () => client.send(new HeadObjectCommand(sentinel)))).result
+          results.tagging = (await probe('PutObjectTagging', () => client.send(new PutObjectTaggingCommand({
+            ...sentinel,
+            Tagging: { TagSet: [{ Key: 's3-vault-probe', Value: 'true' }] }
+          })))).result
+          results.delete = (await probe('DeleteObject', () => client.send(new DeleteObjectCommand(sentinel)))).result
+
+          if (results.delete.status !== 'allowed') {
+            results.delete.message += ` The probe object ${sentinelKey} was left behind.`
+          }
+        } else {
+          results.delete = { status: 'unknown', message: 'Not checked because the write probe failed' }
+        }
+      } else {
+        results.write = { status: 'skipped', message: 'Write probe not allowed' }
+        results.delete = { status: 'skipped', message: 'Write probe not allowed' }
+      }
+
+      // Without a sentinel, read and tagging are checked against an existing object
+      if (!results.read) {
+        results.read = sampleKey
+          ? (await probe('HeadObject', () => client.send(new HeadObjectCommand({ Bucket, Key: sampleKey })))).result
+          : { status: 'unknown', message: 'No object to test against' }
+      }
+      if (!results.tagging) {
+        results.tagging = sampleKey
+          ? { ...(await probe('GetObjectTagging', () => client.send(new GetObjectTaggingCommand({ Bucket, Key: sampleKey })))).result }
+          : { status: 'unknown', message: 'No object to test against' }
+        if (results.tagging.status === 'allowed') results.tagging.message = 'Reading tags allowed; writing not checked'
+      }
+
+      const [versioningStatus, versionList] = await Promise.all([
+        probe('GetBucketVersioning', () => client.send(new GetBucketVersioningCommand({ Bucket }))),
+        probe('ListObjectVersions', () => client.send(new ListObjectVersionsCommand({ Bucket, MaxKeys: 1 })))
+      ])
+      results.versioning = versioningStatus.result.status === 'allowed' ? versionList.result : versioningStatus.result
+
+      results.acl = (await probe('GetBucketAcl', () => client.send(new GetBucketAclCommand({ Bucket })))).result
+    } finally {
+      client.destroy()
+    }
+
+    return makeSerializable({
+      probedAt: new Date().toISOString(),
+      writeProbe: allowWrite,
+      scratchPrefix,
+      results
+    })
+  }
+
+  // Stored separately from update() so probing doesn't count as editing the configuration
+  async savePermissions(id, permissions) {
+    const config = this.configs.find(c => c.Id === parseInt(id))
+    if (!config) {
+      throw new Error('Configuration not found')
+    }
+
+    config.permissions = permissions
+    await this.saveToLocalStorage()
+    this.notifyChange('permissions', [config.Id])
+    return makeSerializable({ ...config })
   }
 }
 
@@ -0,0 +1,247 @@
+import credentialVaultService from "@/services/api/credentialVaultService";
+import { stripEndpointScheme } from "@/services/api/s3ClientFactory";
+
+export const EXPORT_FORMAT = 's3-vault-configs'
+const EXPORT_VERSION = 1
+const EXPORT_PBKDF2_ITERATIONS = 600000
+
+// Fields carried in an export. Secrets are handled separately so they can be omitted or encrypted.
+const EXPORT_FIELDS = [
+  'name', 'region', 'bucketName', 'endpoint', 'forcePathStyle', 'useSsl',
+  'roleArn', 'externalId', 'mfaSerial', 'sessionDuration', 'roleSessionName'
+]
+const SECRET_FIELDS = ['accessKey', 'secretKey', 'sessionToken']
+
+// AWS shared config keys and the configuration fields they map to
+const INI_FIELD_MAP = {
+  aws_access_key_id: 'accessKey',
+  aws_secret_access_key: 'secretKey',
+  aws_session_token: 'sessionToken',
+  region: 'region',
+  role_arn: 'roleArn',
+  external_id: 'externalId',
+  mfa_serial: 'mfaSerial',
+  duration_seconds: 'sessionDuration',
+  role_session_name: 'roleSessionName',
+  // Not an AWS key; the CLI ignores it, and it lets exported files round-trip the bucket
+  s3_vault_bucket: 'bucketName'
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+// Parse INI text into { section: { key: value } }. Indented lines under a key with an empty
+// value (the AWS "s3 =" style) become a nested object.
+export const parseIni = (text) => {
+  const sections = {}
+  let current = null
+  let nestedKey = null
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\s+[#;].*$/, '')
+    if (!line.trim() || /^\s*[#;]/.test(line)) return
+
+    const header = line.match(/^\s*\[([^\]]+)\]\s*$/)
+    if (header) {
+      current = header[1].trim()
+      sections[current] = sections[current] || {}
+      nestedKey = null
+      return
+    }
+
+    const pair = line.match(/^(\s*)([^=]+?)\s*=\s*(.*)$/)
+    if (!pair || !current) return
+
+    const [, indent, key, value] = pair
+    if (indent && nestedKey) {
+      sections[current][nestedKey][key.toLowerCase()] = value.trim()
+    } else if (!value.trim()) {
+      nestedKey = key.toLowerCase()
+      sections[current][nestedKey] = {}
+    } else {
+      nestedKey = null
+      sections[current][key.toLowerCase()] = value.trim()
+    }
+  })
+
+  return sections
+}
+
+const iniProfileName = (section) => section.replace(/^profile\s+/, '').trim()
+
+// Turn one parsed profile (already merged across files) into configuration fields
+const profileToConfig = (name, profile) => {
+  const config = { name }
+
+  Object.entries(INI_FIELD_MAP).forEach(([key, field]) => {
+    if (typeof profile[key] === 'string' && profile[key]) config[field] = profile[key]
+  })
+  if (config.sessionDuration) config.sessionDuration = parseInt(config.sessionDuration, 10) || undefined
+
+  const endpointUrl = profile.s3?.endpoint_url || profile.endpoint_url
+  if (endpointUrl) {
+    config.endpoint = stripEndpointScheme(endpointUrl)
+    config.useSsl = !/^http:\/\//i.test(endpointUrl.trim())
+  }
+  if (profile.s3?.addressing_style === 'path') config.forcePathStyle = true
+
+  return config
+}
+
+class ConfigTransferService {
+  // Read profiles from the text of ~/.aws/credentials and/or ~/.aws/config (several files may be
+  // passed; sections with the same profile name are merged). Role profiles take their keys from
+  // source_profile. Returns [{ profile, sourceProfile, config, warnings }] where config still lacks a bucket name
+  // unless the file came from an export.
+  parseAwsProfiles(texts) {
+    const profiles = {}
+    texts.forEach(text => {
+      Object.entries(parseIni(text)).forEach(([section, values]) => {
+        const name = iniProfileName(section)
+        // "[sso-session x]" and "[services x]" sections are not profiles
+        if (/^(sso-session|services)\s/.test(name)) return
+        profiles[name] = { ...profiles[name], ...values }
+      })
+    })
+
+    return Object.entries(profiles).map(([name, profile]) => {
+      const warnings = []
+      const config = profileToConfig(name, profile)
+
+      if (profile.sso_start_url || profile.sso_session) {
+        warnings.push('SSO profiles are not supported; enter access keys instead')
+      }
+      if (profile.credential_source) {
+        warnings.push(`credential_source = ${profile.credential_source} only works outside the browser`)
+      }
+
+      // Follow the source_profile chain for the keys used to assume the role
+      let source = profile.source_profile
+      const visited = new Set([name])
+      while (source && !config.accessKey) {
+        if (visited.has(source) || !profiles[source]) {
+          warnings.push(`Source profile "${source}" was not found`)
+          break
+        }
+        visited.add(source)
+        const sourceConfig = profileToConfig(source, profiles[source])
+        SECRET_FIELDS.forEach(field => {
+          if (sourceConfig[field]) config[field] = sourceConfig[field]
+        })
+        config.region = config.region || sourceConfig.region
+        source = profiles[source].source_profile
+      }
+
+      if (!config.accessKey || !config.secretKey) {
+        warnings.push('No access keys found for this profile')
+      }
+
+      return { profile: name, sourceProfile: profile.source_profile || null, config, warnings }
+    })
+  }
+
+  async deriveExportKey(passphrase, salt, iterations) {
+    return credentialVaultService.deriveKey(passphrase, salt, iterations)
+  }
+
+  // secrets: 'omit' | 'include' | 'encrypt' (encrypt needs a passphrase)
+  async exportJson(configs, { secrets = 'omit', passphrase } = {}) {
+    let key = null
+    let encryption = null
+    if (secrets === 'encrypt') {
+      if (!passphrase) throw new Error('A passphrase is required to encrypt secrets')
+      const salt = crypto.getRandomValues(new Uint8Array(16))
+      key = await this.deriveExportKey(passphrase, salt, EXPORT_PBKDF2_ITERATIONS)
+      encryption = { algorithm: 'PBKDF2-SHA256/AES-GCM', salt: toBase64(salt), iterations: EXPORT_PBKDF2_ITERATIONS }
+    }
+
+    const exported = await Promise.all(configs.map(async config => {
+      const entry = Object.fromEntries(EXPORT_FIELDS.filter(field => config[field] !== undefined && config[field] !== '').map(field => [field, config[field]]))
+      const secretValues = Object.fromEntries(SECRET_FIELDS.filter(field => config[field]).map(field => [field, config[field]]))
+
+      if (secrets === 'include') Object.assign(entry, secretValues)
+      if (secrets === 'encrypt') entry.secrets = await credentialVaultService.encryptWithKey(key, secretValues)
+      return entry
+    }))
+
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      secrets: secrets === 'encrypt' ? 'encrypted' : secrets === 'include' ? 'included' : 'omitted',
+      ...(encryption && { encryption }),
+      configs: exported
+    }, null, 2)
+  }
+
+  // INI in ~/.aws/config layout; INI has no encryption, so secrets are either included or omitted
+  exportIni(configs, { secrets = 'omit' } = {}) {
+    const usedNames = new Set()
+    const reverseMap = Object.fromEntries(Object.entries(INI_FIELD_MAP).map(([key, field]) => [field, key]))
+
+    const sections = configs.map(config => {
+      const baseName = config.name.trim().replace(/[\s[\]]+/g, '-') || 'profile'
+      let name = baseName
+      for (let n = 2; usedNames.has(name); n++) name = `${baseName}-${n}`
+      usedNames.add(name)
+
+      const lines = [name === 'default' ? '[default]' : `[profile ${name}]`]
+      Object.entries(reverseMap).forEach(([field, key]) => {
+        if (SECRET_FIELDS.includes(field) && secrets !== 'include') return
+        if (config[field] !== undefined && config[field] !== '') lines.push(`${key} = ${config[field]}`)
+      })
+      if (config.endpoint) {
+        lines.push('s3 =')
+        lines.push(`  endpoint_url = ${config.useSsl === false ? 'http' : 'https'}://${stripEndpointScheme(config.endpoint)}`)
+        if (config.forcePathStyle) lines.push('  addressing_style = path')
+      }
+      return lines.join('\n')
+    })
+
+    return `${sections.join('\n\n')}\n`
+  }
+
+  // Parse an export from exportJson. Encrypted exports need the passphrase used to create them.
+  async parseJsonExport(text, { passphrase } = {}) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      throw new Error('The file is not valid JSON')
+    }
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.configs)) {
+      throw new Error('The file is not an S3 Vault configuration export')
+    }
+
+    let key = null
+    if (data.secrets === 'encrypted') {
+      if (!passphrase) {
+        const error = new Error('This export is encrypted. Enter the passphrase it was exported with.')
+        error.code = 'PassphraseRequired'
+        throw error
+      }
+      key = await this.deriveExportKey(passphrase, fromBase64(data.encryption.salt), data.encryption.iterations)
+    }
+
+    return Promise.all(data.configs.map(async ({ secrets, ...fields }) => {
+      const config = Object.fromEntries(
+        [...EXPORT_FIELDS, ...SECRET_FIELDS].filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+      )
+      if (secrets && key) {
+        try {
+          Object.assign(config, await credentialVaultService.decryptWithKey(key, secrets))
+        } catch (error) {
+          throw new Error('Incorrect passphrase for this export')
+        }
+      }
+      const warnings = config.accessKey && config.secretKey ? [] : ['No access keys in this export; enter them before importing']
+      return { profile: config.name, sourceProfile: null, config, warnings }
+    }))
+  }
+
+  isJsonExport(text) {
+    return text.trim().startsWith('{')
+  }
+}
+
+export default new ConfigTransferService()
@@ -0,0 +1,211 @@
+// Master-passphrase vault for configuration secrets. A PBKDF2-derived AES-GCM key encrypts
+// secrets at rest; the key lives only in memory while the vault is unlocked.
+
+const KEYSTORE_STORAGE_KEY = 's3-vault-keystore'
+const LOCK_TIMEOUT_STORAGE_KEY = 's3-vault-lock-minutes'
+const PBKDF2_ITERATIONS = 600000
+const DEFAULT_LOCK_MINUTES = 15
+// Encrypted with the derived key so a wrong passphrase can be told apart from corrupt data
+const VERIFIER_TEXT = 's3-vault-verifier'
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+class CredentialVaultService {
+  constructor() {
+    this.key = null
+    this.listeners = new Set()
+    this.lockTimer = null
+    this.lockMinutes = this.loadLockMinutes()
+  }
+
+  loadKeystore() {
+    try {
+      const stored = localStorage.getItem(KEYSTORE_STORAGE_KEY)
+      return stored ? JSON.parse(stored) : null
+    } catch (error) {
+      console.warn('Failed to read vault keystore:', error)
+      return null
+    }
+  }
+
+  loadLockMinutes() {
+    try {
+      const stored = parseInt(localStorage.getItem(LOCK_TIMEOUT_STORAGE_KEY), 10)
+      return Number.isFinite(stored) && stored >= 0 ? stored : DEFAULT_LOCK_MINUTES
+    } catch (error) {
+      return DEFAULT_LOCK_MINUTES
+    }
+  }
+
+  isInitialized() {
+    return this.loadKeystore() !== null
+  }
+
+  isUnlocked() {
+    return this.key !== null
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notify() {
+    const unlocked = this.isUnlocked()
+    this.listeners.forEach(listener => listener(unlocked))
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    )
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    )
+  }
+
+  async encryptWithKey(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    )
+    return { iv: toBase64(iv), data: toBase64(data) }
+  }
+
+  async decryptWithKey(key, blob) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(blob.iv) },
+      key,
+      fromBase64(blob.data)
+    )
+    return JSON.parse(new TextDecoder().decode(plaintext))
+  }
+
+  // Derive a key from a new passphrase and store its salt and verifier
+  async createKeystore(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    const key = await this.deriveKey(passphrase, salt, PBKDF2_ITERATIONS)
+    const keystore = {
+      version: 1,
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await this.encryptWithKey(key, VERIFIER_TEXT)
+    }
+    return { key, keystore }
+  }
+
+  async setup(passphrase) {
+    if (this.isInitialized()) {
+      throw new Error('The vault is already set up')
+    }
+
+    const { key, keystore } = await this.createKeystore(passphrase)
+    localStorage.setItem(KEYSTORE_STORAGE_KEY, JSON.stringify(keystore))
+    this.key = key
+    this.touch()
+    this.notify()
+  }
+
+  // Resolves with the derived key when the passphrase is right, without unlocking
+  async verifyPassphrase(passphrase) {
+    const keystore = this.loadKeystore()
+    if (!keystore) {
+      throw new Error('The vault has not been set up')
+    }
+
+    const key = await this.deriveKey(passphrase, fromBase64(keystore.salt), keystore.iterations)
+    try {
+      if (await this.decryptWithKey(key, keystore.verifier) !== VERIFIER_TEXT) throw new Error()
+    } catch (error) {
+      throw new Error('Incorrect passphrase')
+    }
+    return key
+  }
+
+  async unlock(passphrase) {
+    this.key = await this.verifyPassphrase(passphrase)
+    this.touch()
+    this.notify()
+  }
+
+  lock() {
+    if (!this.key) return
+
+    this.key = null
+    clearTimeout(this.lockTimer)
+    this.lockTimer = null
+    this.notify()
+  }
+
+  // Swap in a new passphrase. reencrypt receives (decrypt, encrypt, saveKeystore): decrypt and
+  // encrypt are bound to the old and new keys, and saveKeystore writes the new keystore. It must
+  // re-encrypt every secret in memory and keep the old blobs stored until saveKeystore succeeded,
+  // so a crash between the writes never leaves secrets that no saved passphrase can decrypt.
+  async changePassphrase(currentPassphrase, newPassphrase, reencrypt) {
+    const oldKey = await this.verifyPassphrase(currentPassphrase)
+    const { key, keystore } = await this.createKeystore(newPassphrase)
+
+    await reencrypt(
+      (blob) => this.decryptWithKey(oldKey, blob),
+      (value) => this.encryptWithKey(key, value),
+      () => localStorage.setItem(KEYSTORE_STORAGE_KEY, JSON.stringify(keystore))
+    )
+
+    this.key = key
+    this.touch()
+    this.notify()
+  }
+
+  // Forget the keystore entirely; anything encrypted with it becomes unreadable
+  reset() {
+    localStorage.removeItem(KEYSTORE_STORAGE_KEY)
+    this.lock()
+  }
+
+  async encrypt(value) {
+    if (!this.key) throw new Error('The credential vault is locked')
+    return this.encryptWithKey(this.key, value)
+  }
+
+  async decrypt(blob) {
+    if (!this.key) throw new Error('The credential vault is locked')
+    return this.decryptWithKey(this.key, blob)
+  }
+
+  getLockMinutes() {
+    return this.lockMinutes
+  }
+
+  // 0 disables auto-lock
+  setLockMinutes(minutes) {
+    this.lockMinutes = Math.max(0, parseInt(minutes, 10) || 0)
+    try {
+      localStorage.setItem(LOCK_TIMEOUT_STORAGE_KEY, String(this.lockMinutes))
+    } catch (error) {
+      console.warn('Failed to save auto-lock timeout:', error)
+    }
+    this.touch()
+  }
+
+  // Record activity and restart the idle auto-lock countdown
+  touch() {
+    clearTimeout(this.lockTimer)
+    this.lockTimer = null
+    if (!this.key || this.lockMinutes === 0) return
+
+    this.lockTimer = setTimeout(() => this.lock(), this.lockMinutes * 60 * 1000)
+  }
+}
+
+export default new CredentialVaultService()
@@ -0,0 +1,340 @@
+import s3Service from "@/services/api/s3Service";
+
+const MB = 1024 * 1024
+// Each file is fetched as ranged GETs of this size, several at a time
+const CHUNK_BYTES = 8 * MB
+const PARALLEL_RANGES = 4
+const MAX_ACTIVE_DOWNLOADS = 2
+const NOTIFY_INTERVAL_MS = 250
+// Presigned links handed to the browser only need to live long enough to start the download
+const BROWSER_LINK_EXPIRY_SECONDS = 60 * 60
+
+const FINISHED_STATUSES = ['completed', 'cancelled']
+
+// The pinned ETag no longer matches: the object was overwritten since the download started
+const isObjectChanged = (error) => {
+  const cause = error.cause || error
+  return cause.name === 'PreconditionFailed' || cause.$metadata?.httpStatusCode === 412
+}
+
+// Download manager. With a FileSystemFileHandle (File System Access API) the object is
+// streamed straight to disk in ranged chunks and can be paused and resumed; without one the
+// download is handed to the browser through a presigned URL.
+class DownloadQueueService {
+  constructor() {
+    this.tasks = []
+    this.runtime = new Map()
+    this.listeners = new Set()
+    this.notifyTimer = null
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.getSnapshot())
+    return () => this.listeners.delete(listener)
+  }
+
+  notify() {
+    clearTimeout(this.notifyTimer)
+    this.notifyTimer = null
+    const snapshot = this.getSnapshot()
+    this.listeners.forEach(listener => listener(snapshot))
+  }
+
+  // Progress arrives once per network read, so batch those updates
+  scheduleNotify() {
+    if (this.notifyTimer) return
+    this.notifyTimer = setTimeout(() => this.notify(), NOTIFY_INTERVAL_MS)
+  }
+
+  getSnapshot() {
+    return {
+      tasks: this.tasks.map(task => ({
+        id: task.id,
+        key: task.key,
+        name: task.name,
+        size: task.size,
+        mode: task.mode,
+        status: task.status,
+        loadedBytes: task.loadedBytes,
+        progress: task.size > 0 ? (task.loadedBytes / task.size) * 100 : (task.status === 'completed' ? 100 : 0),
+        speed: task.speed,
+        error: task.error
+      }))
+    }
+  }
+
+  updateTask(id, patch, { immediate = true } = {}) {
+    this.tasks = this.tasks.map(task => (task.id === id ? { ...task, ...patch } : task))
+    if (immediate) {
+      this.notify()
+    } else {
+      this.scheduleNotify()
+    }
+  }
+
+  findTask(id) {
+    return this.tasks.find(task => task.id === id)
+  }
+
+  // file: { key, name, size }; handle: a FileSystemFileHandle from showSaveFilePicker, or null
+  enqueue(file, { handle = null, service = s3Service } = {}) {
+    const id = Math.random().toString(36).substr(2, 9)
+
+    this.tasks = [...this.tasks, {
+      id,
+      key: file.key,
+      name: file.name || file.key.split('/').pop(),
+      size: file.size || 0,
+      mode: handle ? 'disk' : 'browser',
+      status: 'queued',
+      loadedBytes: 0,
+      speed: 0,
+      error: null
+    }]
+    this.runtime.set(id, {
+      handle,
+      service,
+      etag: null,
+      doneChunks: new Set(),
+      inFlight: new Map(),
+      controller: null,
+      stopReason: null
+    })
+
+    this.notify()
+    this.pump()
+    return id
+  }
+
+  pump() {
+    let running = this.tasks.filter(task => task.status === 'downloading').length
+
+    for (const task of this.tasks) {
+      if (running >= MAX_ACTIVE_DOWNLOADS) break
+      if (task.status !== 'queued') continue
+
+      running++
+      this.runTask(task.id)
+    }
+  }
+
+  async runTask(id) {
+    const task = this.findTask(id)
+    const runtime = this.runtime.get(id)
+
+    runtime.controller = new AbortController()
+    runtime.stopReason = null
+    this.updateTask(id, { status: 'downloading', error: null })
+
+    try {
+      if (task.mode === 'browser') {
+        await this.openInBrowser(task, runtime)
+      } else {
+        await this.downloadToDisk(id, runtime)
+      }
+      this.updateTask(id, { status: 'completed', speed: 0 })
+    } catch (error) {
+      if (runtime.stopReason === 'pause') {
+        this.updateTask(id, { status: 'paused', speed: 0 })
+      } else if (runtime.stopReason === 'cancel') {
+        this.updateTask(id, { status: 'cancelled', speed: 0 })
+      } else {
+        console.error('Download failed:', error)
+        this.updateTask(id, { status: 'error', speed: 0, error: error.message })
+      }
+    } finally {
+      runtime.controller = null
+      runtime.inFlight.clear()
+      this.pump()
+    }
+  }
+
+  async openInBrowser(task, runtime) {
+    const { url } = await runtime.service.generateShareUrl(task.key, BROWSER_LINK_EXPIRY_SECONDS, { forceDownload: true })
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = task.name
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+  }
+
+  async downloadToDisk(id, runtime) {
+    const { signal } = runtime.controller
+
+    // Pin the version being downloaded so a resumed download can't mix two versions
+    if (!runtime.etag) {
+      const head = await runtime.service.headObject(this.findTask(id).key)
+      runtime.etag = head.etag
+      this.updateTask(id, { size: head.size })
+    }
+
+    const { key, size } = this.findTask(id)
+    const chunkCount = Math.ceil(size / CHUNK_BYTES)
+    const pending = Array.from({ length: chunkCount }, (_, index) => index)
+      .filter(index => !runtime.doneChunks.has(index))
+
+    // keepExistingData lets a paused download continue into the partly written file
+    const writable = await runtime.handle.createWritable({ keepExistingData: true })
+    const sampler = { time: Date.now(), bytes: this.findTask(id).loadedBytes }
+    let next = 0
+    let firstError = null
+
+    // Shared by the range workers: the first failure stops the others before the file is closed
+    const workers = new AbortController()
+    const stopWorkers = () => workers.abort()
+    signal.addEventListener('abort', stopWorkers)
+
+    const worker = async () => {
+      try {
+        while (next < pending.length && !workers.signal.aborted) {
+          const index = pending[next++]
+          await this.downloadChunk(id, runtime, writable, index, key, size, sampler, workers.signal)
+          runtime.doneChunks.add(index)
+        }
+      } catch (error) {
+        if (!firstError && !workers.signal.aborted) firstError = error
+        workers.abort()
+      }
+    }
+
+    try {
+      // Wait for every worker to stop writing before the file is closed or aborted
+      await Promise.all(Array.from({ length: Math.min(PARALLEL_RANGES, pending.length) }, worker))
+      signal.removeEventListener('abort', stopWorkers)
+      if (firstError) throw firstError
+      if (signal.aborted) throw new Error('Download stopped')
+
+      await writable.truncate(size)
+      await writable.close()
+    } catch (error) {
+      if (runtime.stopReason === 'cancel') {
+        await writable.abort().catch(() => {})
+        await runtime.handle.remove?.().catch(() => {})
+      } else {
+        // Commit what was written so resume and retry only fetch the missing chunks
+        await writable.close().catch(() => {})
+      }
+      if (isObjectChanged(error)) {
+        // The written chunks belong to the old version, so a retry starts again from byte 0
+        runtime.etag = null
+        runtime.doneChunks.clear()
+        this.updateTask(id, { loadedBytes: 0 })
+        throw new Error('The object changed during the download. Retry to download the new version.')
+      }
+      throw error
+    }
+  }
+
+  async downloadChunk(id, runtime, writable, index, key, size, sampler, signal) {
+    const start = index * CHUNK_BYTES
+    const end = Math.min(start + CHUNK_BYTES, size) - 1
+
+    const { body } = await runtime.service.getObjectStream(key, {
+      range: `bytes=${start}-${end}`,
+      ifMatch: runtime.etag,
+      signal
+    })
+
+    const reader = body.getReader()
+    let position = start
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) break
+        if (signal.aborted) throw new Error('Download stopped')
+
+        await writable.write({ type: 'write', position, data: value })
+        position += value.length
+        runtime.inFlight.set(index, position - start)
+        this.reportProgress(id, runtime, sampler)
+      }
+    } finally {
+      runtime.inFlight.delete(index)
+    }
+
+    if (position !== end + 1) {
+      throw new Error(`Incomplete range ${start}-${end}`)
+    }
+  }
+
+  reportProgress(id, runtime, sampler) {
+    const { size } = this.findTask(id)
+    let loadedBytes = 0
+    runtime.doneChunks.forEach(index => {
+      loadedBytes += Math.min(CHUNK_BYTES, size - index * CHUNK_BYTES)
+    })
+    runtime.inFlight.forEach(bytes => { loadedBytes += bytes })
+
+    const patch = { loadedBytes }
+    const elapsed = (Date.now() - sampler.time) / 1000
+    if (elapsed >= 1) {
+      patch.speed = Math.max(0, (loadedBytes - sampler.bytes) / MB / elapsed)
+      sampler.time = Date.now()
+      sampler.bytes = loadedBytes
+    }
+
+    this.updateTask(id, patch, { immediate: false })
+  }
+
+  pause(id) {
+    const task = this.findTask(id)
+    if (!task || task.mode !== 'disk') return
+
+    if (task.status === 'downloading') {
+      const runtime = this.runtime.get(id)
+      runtime.stopReason = 'pause'
+      runtime.controller?.abort()
+    } else if (task.status === 'queued') {
+      this.updateTask(id, { status: 'paused' })
+    }
+  }
+
+  resume(id) {
+    const task = this.findTask(id)
+    if (!task || !['paused', 'error'].includes(task.status)) return
+
+    this.updateTask(id, { status: 'queued', error: null })
+    this.pump()
+  }
+
+  async cancel(id) {
+    const task = this.findTask(id)
+    if (!task || FINISHED_STATUSES.includes(task.status)) return
+
+    const runtime = this.runtime.get(id)
+    runtime.stopReason = 'cancel'
+
+    if (task.status === 'downloading') {
+      runtime.controller?.abort()
+    } else {
+      this.updateTask(id, { status: 'cancelled', speed: 0 })
+      // Paused and failed downloads may have left a partial file behind
+      if (runtime.doneChunks.size > 0) {
+        await runtime.handle?.remove?.().catch(() => {})
+      }
+    }
+  }
+
+  remove(id) {
+    const task = this.findTask(id)
+    if (task && ['queued', 'downloading'].includes(task.status)) return
+
+    this.tasks = this.tasks.filter(t => t.id !== id)
+    this.runtime.delete(id)
+    this.notify()
+  }
+
+  clearFinished() {
+    this.tasks
+      .filter(task => FINISHED_STATUSES.includes(task.status))
+      .forEach(task => this.runtime.delete(task.id))
+    this.tasks = this.tasks.filter(task => !FINISHED_STATUSES.includes(task.status))
+    this.notify()
+  }
+}
+
+export default new DownloadQueueService()
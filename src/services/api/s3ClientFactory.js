@@ -0,0 +1,91 @@
+import { S3Client } from "@aws-sdk/client-s3";
+
+// Host (and optional port/path) of a custom endpoint, without any scheme the user typed
+export const stripEndpointScheme = (endpoint = '') => endpoint.trim().replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, '')
+
+// Full endpoint URL for S3-compatible services (MinIO, Ceph, R2, ...), or undefined for AWS.
+// useSsl defaults to true so configs saved before it existed stay on HTTPS.
+export const resolveEndpoint = (config) => {
+  const host = stripEndpointScheme(config.endpoint)
+  if (!host) return undefined
+  return `${config.useSsl === false ? 'http' : 'https'}://${host}`
+}
+
+// Builds an S3Client from a saved configuration or unsaved form data. Pass credentials
+// (an object or an async provider) to sign with something other than the config's own keys.
+export const createS3Client = (config, { credentials } = {}) => {
+  const endpoint = resolveEndpoint(config)
+
+  return new S3Client({
+    region: config.region,
+    credentials: credentials || {
+      accessKeyId: config.accessKey,
+      secretAccessKey: config.secretKey,
+      ...(config.sessionToken && { sessionToken: config.sessionToken })
+    },
+    ...(endpoint && {
+      endpoint,
+      forcePathStyle: Boolean(config.forcePathStyle),
+      // Many S3-compatible servers reject the CRC checksums the SDK now sends by default
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED'
+    })
+  })
+}
+
+// S3 names the bucket's real region in different places depending on the error
+export const getErrorRegion = (error) =>
+  error.BucketRegion ||
+  error.Region ||
+  error.$response?.headers?.['x-amz-bucket-region'] ||
+  null
+
+// Translate an S3 SDK error into { kind, code, message, region } for display.
+// kind is one of: network, credentials, region, notFound, accessDenied, unknown
+export const diagnoseS3Error = (error, operation) => {
+  const status = error.$metadata?.httpStatusCode
+  const code = error.Code || error.name || 'UnknownError'
+
+  // A blocked cross-origin request never reaches the SDK's response parsing
+  if (!status && (error instanceof TypeError || /failed to fetch|networkerror|load failed/i.test(error.message || ''))) {
+    return {
+      kind: 'network',
+      code: 'NetworkError',
+      message: `The browser could not reach the storage endpoint for ${operation}. The bucket's CORS rules may not allow ${window.location.origin}, or the network is blocking the request.`,
+      region: null
+    }
+  }
+
+  if (['InvalidAccessKeyId', 'SignatureDoesNotMatch', 'InvalidToken', 'ExpiredToken', 'TokenRefreshRequired'].includes(code)) {
+    const messages = {
+      InvalidAccessKeyId: 'The access key ID does not exist.',
+      SignatureDoesNotMatch: 'The secret key does not match the access key.',
+      InvalidToken: 'The session token is invalid.',
+      ExpiredToken: 'The session token has expired.',
+      TokenRefreshRequired: 'The session token has expired.'
+    }
+    return { kind: 'credentials', code, message: messages[code], region: null }
+  }
+
+  if (['PermanentRedirect', 'AuthorizationHeaderMalformed', 'IllegalLocationConstraintException'].includes(code) || status === 301) {
+    const region = getErrorRegion(error)
+    return {
+      kind: 'region',
+      code,
+      message: region
+        ? `The bucket is in ${region}, not the configured region.`
+        : 'The bucket is in a different region than the configured one.',
+      region
+    }
+  }
+
+  if (code === 'NoSuchBucket' || code === 'NotFound' || status === 404) {
+    return { kind: 'notFound', code, message: 'The bucket does not exist.', region: null }
+  }
+
+  if (code === 'AccessDenied' || code === 'Forbidden' || status === 403) {
+    return { kind: 'accessDenied', code, message: `Access denied for ${operation}.`, region: null }
+  }
+
+  return { kind: 'unknown', code, message: error.message || `${operation} failed.`, region: null }
+}
@@ -1,8 +1,52 @@
-import { DeleteObjectCommand, DeleteObjectsCommand, GetObjectCommand, HeadObjectCommand, ListObjectsV2Command, S3Client } from "@aws-sdk/client-s3";
+import {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectCommand,
+  DeleteObjectTaggingCommand,
+  DeleteObjectsCommand,
+  GetBucketVersioningCommand,
+  GetObjectCommand,
+  GetObjectTaggingCommand,
+  HeadObjectCommand,
+  ListObjectVersionsCommand,
+  ListMultipartUploadsCommand,
+  ListObjectsV2Command,
+  ListPartsCommand,
+  PutObjectTaggingCommand,
+  UploadPartCommand,
+  UploadPartCopyCommand
+} from "@aws-sdk/client-s3";
 import { Upload } from "@aws-sdk/lib-storage";
-import React from "react";
-import Error from "@/components/ui/Error";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import SparkMD5 from "spark-md5";
 import bucketConfigService from "@/services/api/bucketConfigService";
+import credentialVaultService from "@/services/api/credentialVaultService";
+import { createS3Client } from "@/services/api/s3ClientFactory";
+import sessionCredentialsService, { usesAssumeRole } from "@/services/api/sessionCredentialsService";
+import uploadStateService from "@/services/api/uploadStateService";
+
+// SigV4 presigned URLs cannot outlive 7 days
+export const MAX_PRESIGN_EXPIRY_SECONDS = 7 * 24 * 60 * 60
+const PREVIEW_URL_EXPIRY_SECONDS = 15 * 60
+export const DEFAULT_PAGE_SIZE = 200
+// CopyObject only handles sources up to 5 GB; larger objects need UploadPartCopy
+const MAX_SINGLE_COPY_BYTES = 5 * 1024 * 1024 * 1024
+const MIN_COPY_PART_BYTES = 512 * 1024 * 1024
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000
+const MAX_OBJECT_TAGS = 10
+const MB = 1024 * 1024
+// Files at or above this size use the resumable multipart path
+const RESUMABLE_UPLOAD_THRESHOLD_BYTES = 16 * MB
+const MIN_UPLOAD_PART_BYTES = 8 * MB
+const MAX_UPLOAD_PARTS = 10000
+const UPLOAD_PART_CONCURRENCY = 4
+// Up to this many keys per folder are checked with HeadObject; more than that lists the folder instead
+const CONFLICT_HEAD_LIMIT = 25
+const CONFLICT_HEAD_CONCURRENCY = 8
+
 // Utility function to ensure objects are serializable (prevent DataCloneError)
 const makeSerializable = (obj) => {
   if (obj === null || obj === undefined) return obj
@@ -49,28 +93,186 @@ const extractFileMetadata = (s3Object, key) => {
   })
 }
 
-class S3Service {
-  constructor() {
+// CopySource is "bucket/key" with the key URL-encoded segment by segment
+const encodeCopySource = (bucket, key, versionId) =>
+  `${bucket}/${key.split('/').map(encodeURIComponent).join('/')}${versionId ? `?versionId=${encodeURIComponent(versionId)}` : ''}`
+
+// lib-storage takes an AbortController rather than a signal
+const abortControllerFor = (signal) => {
+  const controller = new AbortController()
+  if (signal.aborted) controller.abort()
+  else signal.addEventListener('abort', () => controller.abort(), { once: true })
+  return controller
+}
+
+// Keep only what CompleteMultipartUpload needs from an UploadPart or ListParts entry
+const pickPartChecksums = (part) => ({
+  PartNumber: part.PartNumber,
+  ETag: part.ETag,
+  ...(part.ChecksumCRC32 && { ChecksumCRC32: part.ChecksumCRC32 }),
+  ...(part.ChecksumCRC32C && { ChecksumCRC32C: part.ChecksumCRC32C }),
+  ...(part.ChecksumSHA1 && { ChecksumSHA1: part.ChecksumSHA1 }),
+  ...(part.ChecksumSHA256 && { ChecksumSHA256: part.ChecksumSHA256 })
+})
+
+// Identify a local file across page reloads: name, size and mtime plus a hash of its first and last MB
+const fingerprintFile = async (file, bucket, key) => {
+  const identity = `${bucket}/${key}|${file.name}|${file.size}|${file.lastModified}`
+  if (typeof crypto === 'undefined' || !crypto.subtle) return identity
+
+  const sample = await new Blob([
+    file.slice(0, MB),
+    file.slice(Math.max(0, file.size - MB))
+  ]).arrayBuffer()
+  const digest = await crypto.subtle.digest('SHA-256', sample)
+  const hash = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')
+  return `${identity}|${hash}`
+}
+
+// MD5 of a local file, read in chunks so large files never sit in memory at once
+const md5File = async (file, signal) => {
+  const spark = new SparkMD5.ArrayBuffer()
+  for (let offset = 0; offset < file.size; offset += MIN_UPLOAD_PART_BYTES) {
+    if (signal?.aborted) throw new Error('Checksum cancelled')
+    spark.append(await file.slice(offset, offset + MIN_UPLOAD_PART_BYTES).arrayBuffer())
+  }
+  return spark.end()
+}
+
+// Folder prefix ("a/b/") directly holding the key
+const parentFolderPrefix = (key) => key.slice(0, key.lastIndexOf('/') + 1)
+
+// Join a folder path and a name without doubling or leading slashes
+export const joinKey = (path, name) => (path ? `${path.replace(/\/+$/, '')}/${name}` : name)
+
+// Compare two folder listings by name. Returns a Map of name -> { status, reasons } for entries of
+// `listing` that are missing from `other` or differ by the enabled criteria; identical entries are left out.
+export const compareListings = (listing, other, { size = true, etag = true, date = true } = {}) => {
+  const otherByName = new Map(other.map(entry => [entry.name, entry]))
+  const result = new Map()
+
+  listing.forEach(entry => {
+    const match = otherByName.get(entry.name)
+    if (!match || match.isFolder !== entry.isFolder) {
+      result.set(entry.name, { status: 'missing', reasons: [] })
+      return
+    }
+    if (entry.isFolder) return
+
+    const reasons = []
+    if (size && entry.size !== match.size) reasons.push('size')
+    if (etag && entry.etag && match.etag && entry.etag !== match.etag) reasons.push('ETag')
+    if (date) {
+      // Listings report whole seconds, so anything finer is noise
+      const delta = Math.floor(new Date(entry.lastModified) / 1000) - Math.floor(new Date(match.lastModified) / 1000)
+      if (delta > 0) reasons.push('newer')
+      if (delta < 0) reasons.push('older')
+    }
+    if (reasons.length > 0) result.set(entry.name, { status: 'different', reasons })
+  })
+
+  return result
+}
+
+// Convert a glob on the full key into a RegExp: ** spans folders, * and ? stay within one
+const globToRegExp = (glob) => {
+  let pattern = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*' && glob[i + 2] === '/') {
+      pattern += '(?:.*/)?'
+      i += 2
+    } else if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*'
+      i++
+    } else if (char === '*') {
+      pattern += '[^/]*'
+    } else if (char === '?') {
+      pattern += '[^/]'
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${pattern}$`, 'i')
+}
+
+// Build a predicate over raw ListObjectsV2 entries for bucket-wide search
+const buildSearchMatcher = (query, filters = {}, getType) => {
+  const searchTerm = (query || '').trim().toLowerCase()
+  const extensions = (filters.extensions || [])
+    .map(ext => ext.trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean)
+  const minSize = Number.isFinite(filters.minSize) ? filters.minSize : null
+  const maxSize = Number.isFinite(filters.maxSize) ? filters.maxSize : null
+  const modifiedAfter = filters.modifiedAfter ? new Date(filters.modifiedAfter).getTime() : null
+  const modifiedBefore = filters.modifiedBefore ? new Date(filters.modifiedBefore).getTime() : null
+
+  let keyPattern = null
+  if (filters.pattern) {
+    try {
+      keyPattern = filters.patternType === 'regex'
+        ? new RegExp(filters.pattern, 'i')
+        : globToRegExp(filters.pattern)
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`)
+    }
+  }
+
+  return (obj) => {
+    const key = obj.Key
+    const fileName = key.split('/').pop().toLowerCase()
+
+    if (searchTerm && !fileName.includes(searchTerm)) return false
+    if (minSize !== null && obj.Size < minSize) return false
+    if (maxSize !== null && obj.Size > maxSize) return false
+
+    const modified = obj.LastModified ? obj.LastModified.getTime() : 0
+    if (modifiedAfter !== null && modified < modifiedAfter) return false
+    if (modifiedBefore !== null && modified > modifiedBefore) return false
+
+    if (extensions.length > 0) {
+      const extension = fileName.includes('.') ? fileName.split('.').pop() : ''
+      if (!extensions.includes(extension)) return false
+    }
+    if (filters.mimeType && !getType(key).startsWith(filters.mimeType)) return false
+    if (keyPattern && !keyPattern.test(key)) return false
+
+    return true
+  }
+}
+
+// The default export follows the active configuration; pass configId to bind an
+// instance to one saved configuration instead (used for cross-bucket transfers).
+export class S3Service {
+  constructor({ configId = null } = {}) {
+    this.configId = configId
     this.s3Client = null
+    this.clientConfig = null
+    this.clientRevision = null
+    this.sessionExpiration = null
     this.currentPath = ''
     this.bucketName = ''
   }
 
   async initializeClient() {
+    // Read before any await so a change made while building still invalidates this client
+    const revision = bucketConfigService.getRevision(this.configId)
     try {
-      const config = await bucketConfigService.getActive()
+      const config = this.configId !== null
+        ? await bucketConfigService.getById(this.configId)
+        : await bucketConfigService.getActive()
       if (!config) {
         throw new Error('No active S3 configuration found. Please configure your S3 settings first.')
       }
 
-      this.s3Client = new S3Client({
-        region: config.region,
-        credentials: {
-          accessKeyId: config.accessKey,
-          secretAccessKey: config.secretKey
-        }
-      })
+      // Role configurations sign with temporary credentials that the SDK re-resolves before expiry
+      this.s3Client = usesAssumeRole(config)
+        ? createS3Client(config, { credentials: () => sessionCredentialsService.getCredentials(config) })
+        : createS3Client(config)
       this.bucketName = config.bucketName
+      this.clientConfig = config
+      this.clientRevision = revision
+      this.sessionExpiration = sessionCredentialsService.getSessionInfo(config)?.expiration || null
       
       return this.s3Client
     } catch (error) {
@@ -78,71 +280,214 @@ class S3Service {
     }
   }
 
+  // Drop the cached client so the next call rebuilds it from the stored configuration
+  resetClient() {
+    this.s3Client = null
+    this.bucketName = ''
+    this.clientConfig = null
+    this.clientRevision = null
+    this.sessionExpiration = null
+  }
+
   async ensureClient() {
-    if (!this.s3Client) {
+    // A client built before the vault locked still holds decrypted credentials
+    if (!credentialVaultService.isUnlocked()) {
+      this.resetClient()
+      throw new Error('The credential vault is locked. Unlock it to continue.')
+    }
+    // Rebuild when the configuration changed (edited, or another one activated) or when a role
+    // session was renewed, so the SDK drops its cached credentials. The old client is replaced
+    // rather than cleared, so requests already under way can finish with it.
+    const configChanged = this.clientRevision !== bucketConfigService.getRevision(this.configId)
+    const sessionChanged = usesAssumeRole(this.clientConfig) &&
+      (sessionCredentialsService.getSessionInfo(this.clientConfig)?.expiration || null) !== this.sessionExpiration
+    if (!this.s3Client || configChanged || sessionChanged) {
       await this.initializeClient()
     }
     return this.s3Client
   }
 
-  async listFiles(path = '') {
+  // Map one ListObjectsV2 page into folder and file entries
+  mapListResponse(response, prefix) {
+    // Process folders (CommonPrefixes)
+    const folders = (response.CommonPrefixes || []).map(prefix => {
+      const folderName = prefix.Prefix.slice(prefix.Prefix.lastIndexOf('/', prefix.Prefix.length - 2) + 1, -1)
+      return {
+        key: prefix.Prefix.slice(0, -1), // Remove trailing slash
+        name: folderName,
+        size: 0,
+        lastModified: new Date().toISOString(),
+        type: 'folder',
+        etag: '',
+        isFolder: true
+      }
+    })
+
+    // Process files
+    const files = (response.Contents || [])
+      .filter(obj => obj.Key !== prefix) // Exclude the prefix itself
+      .map(obj => makeSerializable({
+        key: obj.Key,
+        name: obj.Key.split('/').pop(),
+        size: obj.Size,
+        lastModified: obj.LastModified.toISOString(),
+        type: this.getFileType(obj.Key),
+        etag: obj.ETag,
+        isFolder: false
+      }))
+
+    return [...folders, ...files].sort((a, b) => {
+      if (a.isFolder && !b.isFolder) return -1
+      if (!a.isFolder && b.isFolder) return 1
+      return a.name.localeCompare(b.name)
+    })
+  }
+
+  async listFilesPage(path = '', { continuationToken, pageSize = DEFAULT_PAGE_SIZE } = {}) {
     try {
       await this.ensureClient()
       this.currentPath = path
-      
+
       const prefix = path ? `${path}/` : ''
       const command = new ListObjectsV2Command({
         Bucket: this.bucketName,
         Prefix: prefix,
-        Delimiter: '/'
+        Delimiter: '/',
+        MaxKeys: Math.min(Math.max(1, pageSize), 1000),
+        ...(continuationToken && { ContinuationToken: continuationToken })
       })
 
       const response = await this.s3Client.send(command)
-      
-      // Process folders (CommonPrefixes)
-      const folders = (response.CommonPrefixes || []).map(prefix => {
-        const folderName = prefix.Prefix.slice(prefix.Prefix.lastIndexOf('/', prefix.Prefix.length - 2) + 1, -1)
-        return {
-          key: prefix.Prefix.slice(0, -1), // Remove trailing slash
-          name: folderName,
-          size: 0,
-          lastModified: new Date().toISOString(),
-          type: 'folder',
-          etag: '',
-          isFolder: true
-        }
+
+      return makeSerializable({
+        items: this.mapListResponse(response, prefix),
+        nextToken: response.IsTruncated ? response.NextContinuationToken : null,
+        isTruncated: !!response.IsTruncated
       })
+    } catch (error) {
+      throw new Error(`Failed to list files: ${error.message}`)
+    }
+  }
 
-// Process files
-      const files = (response.Contents || [])
-        .filter(obj => obj.Key !== prefix) // Exclude the prefix itself
-        .map(obj => makeSerializable({
-          key: obj.Key,
-          name: obj.Key.split('/').pop(),
-          size: obj.Size,
-          lastModified: obj.LastModified.toISOString(),
-          type: this.getFileType(obj.Key),
-          etag: obj.ETag,
-          isFolder: false
-        }))
+  // Lists every entry under a path, following continuation tokens to the end
+  async listFiles(path = '') {
+    const result = []
+    let continuationToken = null
+
+    do {
+      const page = await this.listFilesPage(path, { continuationToken, pageSize: 1000 })
+      result.push(...page.items)
+      continuationToken = page.nextToken
+    } while (continuationToken)
+
+    return makeSerializable(result.sort((a, b) => {
+      if (a.isFolder && !b.isFolder) return -1
+      if (!a.isFolder && b.isFolder) return 1
+      return a.name.localeCompare(b.name)
+    }))
+  }
+
+  // Existing objects among the given keys, as a Map of key -> { key, size, etag, lastModified }
+  async findExistingObjects(keys, { signal } = {}) {
+    await this.ensureClient()
+
+    const existing = new Map()
+    if (keys.length === 0) return existing
 
-      const result = [...folders, ...files].sort((a, b) => {
-        if (a.isFolder && !b.isFolder) return -1
-        if (!a.isFolder && b.isFolder) return 1
-        return a.name.localeCompare(b.name)
+    const headKey = async (key) => {
+      try {
+        const response = await this.s3Client.send(new HeadObjectCommand({
+          Bucket: this.bucketName,
+          Key: key
+        }), { abortSignal: signal })
+
+        existing.set(key, {
+          key,
+          size: response.ContentLength || 0,
+          etag: response.ETag || '',
+          lastModified: response.LastModified ? response.LastModified.toISOString() : null
+        })
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return
+        throw error
+      }
+    }
+
+    try {
+      // Folders with few uploads are checked key by key; busier folders are listed one level
+      // deep, so neither a large bucket root nor a deep subtree is ever listed in full
+      const byFolder = new Map()
+      keys.forEach(key => {
+        const folder = parentFolderPrefix(key)
+        byFolder.set(folder, [...(byFolder.get(folder) || []), key])
       })
 
-      return makeSerializable(result)
+      const headKeys = []
+      for (const [folder, folderKeys] of byFolder) {
+        if (folderKeys.length <= CONFLICT_HEAD_LIMIT) {
+          headKeys.push(...folderKeys)
+        } else {
+          const wanted = new Set(folderKeys)
+          const objects = await this.listAllObjects(folder, { signal, delimiter: '/' })
+          objects.filter(obj => wanted.has(obj.key)).forEach(obj => existing.set(obj.key, obj))
+        }
+      }
+
+      let next = 0
+      const worker = async () => {
+        while (next < headKeys.length) {
+          await headKey(headKeys[next++])
+        }
+      }
+      await Promise.all(Array.from({ length: Math.min(CONFLICT_HEAD_CONCURRENCY, headKeys.length) }, worker))
+
+      return existing
     } catch (error) {
-      throw new Error(`Failed to list files: ${error.message}`)
+      console.error('Error checking for existing files:', error)
+      throw new Error(`Failed to check for existing files: ${error.message}`)
     }
   }
 
-  async uploadFile(file, path = '', progressCallback) {
+  // First "name (n).ext" variant of key that is neither on S3 nor in `reserved`
+  async findAvailableKey(key, reserved = new Set()) {
+    const slash = key.lastIndexOf('/')
+    const folder = key.slice(0, slash + 1)
+    const name = key.slice(slash + 1)
+    const dot = name.lastIndexOf('.')
+    const base = dot > 0 ? name.slice(0, dot) : name
+    const extension = dot > 0 ? name.slice(dot) : ''
+
+    for (let n = 1; ; n++) {
+      const candidate = `${folder}${base} (${n})${extension}`
+      if (!reserved.has(candidate) && !(await this.objectExists(candidate))) return candidate
+    }
+  }
+
+  // Whether a local file differs from an existing object: size first, then MD5 when the
+  // ETag is a plain MD5 (single-part uploads), otherwise whether the local copy is newer
+  async isLocalFileChanged(file, existing, { signal } = {}) {
+    if (file.size !== existing.size) return true
+
+    const etag = existing.etag.replace(/"/g, '').toLowerCase()
+    if (/^[0-9a-f]{32}$/.test(etag)) {
+      return (await md5File(file, signal)) !== etag
+    }
+
+    return !existing.lastModified || file.lastModified > new Date(existing.lastModified).getTime()
+  }
+
+  // options.key overrides the destination key; options.signal aborts the upload.
+  // Large files go through a resumable multipart upload whose state survives reloads.
+  async uploadFile(file, path = '', progressCallback, options = {}) {
+    const key = options.key || (path ? `${path}/${file.name}` : file.name)
+
+    if (file.size >= RESUMABLE_UPLOAD_THRESHOLD_BYTES) {
+      return this.uploadFileResumable(file, key, progressCallback, options)
+    }
+
     try {
       await this.ensureClient()
       
-      const key = path ? `${path}/${file.name}` : file.name
       const startTime = Date.now()
       let lastLoaded = 0
       
@@ -153,7 +498,8 @@ class S3Service {
           Key: key,
           Body: file,
           ContentType: file.type
-        }
+        },
+        abortController: options.signal ? abortControllerFor(options.signal) : undefined
       })
 
       upload.on('httpUploadProgress', (progress) => {
@@ -172,44 +518,296 @@ class S3Service {
         }
       })
 
-await upload.done()
+      await upload.done()
       return makeSerializable({ key, size: file.size, type: file.type })
     } catch (error) {
       throw new Error(`Failed to upload file: ${error.message}`)
     }
   }
 
-  async downloadFile(fileKey) {
+  // onUploadId is called with the multipart UploadId once it is created or resumed
+  async uploadFileResumable(file, key, progressCallback, { signal, onUploadId } = {}) {
     try {
       await this.ensureClient()
-      
-      const command = new GetObjectCommand({
+
+      const fingerprint = await fingerprintFile(file, this.bucketName, key)
+      let state = await uploadStateService.get(fingerprint)
+      let resumed = false
+
+      // S3 is the source of truth for which parts made it; a missing upload means start over
+      if (state) {
+        const uploadedParts = await this.listUploadedParts(key, state.uploadId).catch(() => null)
+        if (uploadedParts) {
+          state = { ...state, parts: uploadedParts }
+          resumed = true
+        } else {
+          await uploadStateService.remove(fingerprint)
+          state = null
+        }
+      }
+
+      if (!state) {
+        const partSize = Math.max(MIN_UPLOAD_PART_BYTES, Math.ceil(file.size / MAX_UPLOAD_PARTS / MB) * MB)
+        const { UploadId } = await this.s3Client.send(new CreateMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: key,
+          ContentType: file.type || this.getFileType(key)
+        }))
+
+        state = {
+          fingerprint,
+          bucket: this.bucketName,
+          key,
+          uploadId: UploadId,
+          partSize,
+          parts: [],
+          fileName: file.name,
+          fileSize: file.size,
+          fileLastModified: file.lastModified,
+          createdAt: new Date().toISOString()
+        }
+        await uploadStateService.save(state)
+      }
+      onUploadId?.(state.uploadId)
+
+      const { partSize } = state
+      const totalParts = Math.ceil(file.size / partSize)
+      const completedParts = new Map(state.parts.map(part => [part.PartNumber, part]))
+      const pendingParts = []
+      for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+        if (!completedParts.has(partNumber)) pendingParts.push(partNumber)
+      }
+
+      const partBytes = (partNumber) => Math.min(partSize, file.size - (partNumber - 1) * partSize)
+      const resumedBytes = [...completedParts.keys()].reduce((sum, partNumber) => sum + partBytes(partNumber), 0)
+      const startTime = Date.now()
+      let uploadedBytes = resumedBytes
+
+      const reportProgress = () => {
+        if (!progressCallback) return
+        const elapsed = (Date.now() - startTime) / 1000
+        const mbPerSecond = elapsed > 0 ? (uploadedBytes - resumedBytes) / elapsed / MB : 0
+        progressCallback((uploadedBytes / file.size) * 100, mbPerSecond)
+      }
+      reportProgress()
+
+      let next = 0
+      let firstError = null
+
+      // Shared by the part workers: the first failure stops the others, so none is still writing
+      // state.parts when a retry starts new workers on the same UploadId
+      const workers = new AbortController()
+      const stopWorkers = () => workers.abort()
+      signal?.addEventListener('abort', stopWorkers)
+
+      const worker = async () => {
+        try {
+          while (next < pendingParts.length && !workers.signal.aborted) {
+            const partNumber = pendingParts[next++]
+            const start = (partNumber - 1) * partSize
+            const response = await this.s3Client.send(new UploadPartCommand({
+              Bucket: this.bucketName,
+              Key: key,
+              UploadId: state.uploadId,
+              PartNumber: partNumber,
+              Body: file.slice(start, start + partBytes(partNumber))
+            }), { abortSignal: workers.signal })
+
+            completedParts.set(partNumber, pickPartChecksums({ PartNumber: partNumber, ...response }))
+            uploadedBytes += partBytes(partNumber)
+            state.parts = [...completedParts.values()]
+            await uploadStateService.save(state)
+            reportProgress()
+          }
+        } catch (error) {
+          if (!firstError && !workers.signal.aborted) firstError = error
+          workers.abort()
+        }
+      }
+
+      // Wait for every worker to stop before reporting the failure
+      await Promise.all(Array.from({ length: Math.min(UPLOAD_PART_CONCURRENCY, pendingParts.length) }, worker))
+      signal?.removeEventListener('abort', stopWorkers)
+      if (firstError) throw firstError
+      if (signal?.aborted) throw new Error('Upload aborted')
+
+      await this.s3Client.send(new CompleteMultipartUploadCommand({
         Bucket: this.bucketName,
-        Key: fileKey
+        Key: key,
+        UploadId: state.uploadId,
+        MultipartUpload: {
+          Parts: [...completedParts.values()].sort((a, b) => a.PartNumber - b.PartNumber)
+        }
+      }))
+      await uploadStateService.remove(fingerprint)
+
+      return makeSerializable({ key, size: file.size, type: file.type, resumed })
+    } catch (error) {
+      // The saved state stays in IndexedDB so re-selecting the same file resumes from here
+      throw new Error(`Failed to upload file: ${error.message}`)
+    }
+  }
+
+  // Throw away the saved multipart state for a file, aborting the upload on S3 as well
+  async discardResumableUpload(file, key) {
+    await this.ensureClient()
+
+    const fingerprint = await fingerprintFile(file, this.bucketName, key)
+    const state = await uploadStateService.get(fingerprint)
+    if (!state) return false
+
+    await this.abortMultipartUpload(state.key, state.uploadId).catch(error => {
+      console.warn('Failed to abort multipart upload:', error)
+    })
+    await uploadStateService.remove(fingerprint)
+    return true
+  }
+
+  async listUploadedParts(fileKey, uploadId) {
+    await this.ensureClient()
+
+    const parts = []
+    let partNumberMarker = null
+
+    do {
+      const response = await this.s3Client.send(new ListPartsCommand({
+        Bucket: this.bucketName,
+        Key: fileKey,
+        UploadId: uploadId,
+        ...(partNumberMarker && { PartNumberMarker: partNumberMarker })
+      }))
+
+      parts.push(...(response.Parts || []).map(pickPartChecksums))
+      partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : null
+    } while (partNumberMarker)
+
+    return parts
+  }
+
+  // Multipart uploads that were started but never completed or aborted; S3 bills for their parts
+  async listMultipartUploads(path = '') {
+    try {
+      await this.ensureClient()
+
+      const uploads = []
+      let keyMarker = null
+      let uploadIdMarker = null
+
+      do {
+        const response = await this.s3Client.send(new ListMultipartUploadsCommand({
+          Bucket: this.bucketName,
+          ...(path && { Prefix: `${path}/` }),
+          ...(keyMarker && { KeyMarker: keyMarker }),
+          ...(uploadIdMarker && { UploadIdMarker: uploadIdMarker })
+        }))
+
+        uploads.push(...(response.Uploads || []).map(upload => ({
+          key: upload.Key,
+          uploadId: upload.UploadId,
+          initiated: upload.Initiated ? upload.Initiated.toISOString() : null,
+          storageClass: upload.StorageClass || 'STANDARD'
+        })))
+
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : null
+        uploadIdMarker = response.IsTruncated ? response.NextUploadIdMarker : null
+      } while (keyMarker)
+
+      return makeSerializable(uploads)
+    } catch (error) {
+      throw new Error(`Failed to list incomplete uploads: ${error.message}`)
+    }
+  }
+
+  async abortMultipartUpload(fileKey, uploadId) {
+    try {
+      await this.ensureClient()
+
+      await this.s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: fileKey,
+        UploadId: uploadId
+      }))
+      await uploadStateService.removeByUploadId(uploadId)
+      return true
+    } catch (error) {
+      throw new Error(`Failed to abort upload of ${fileKey}: ${error.message}`)
+    }
+  }
+
+  // range is an HTTP Range value ("bytes=0-1023"); ifMatch fails the read if the object changed
+  async getObjectStream(fileKey, { signal, range, ifMatch } = {}) {
+    try {
+      await this.ensureClient()
+
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileKey,
+        ...(range && { Range: range }),
+        ...(ifMatch && { IfMatch: ifMatch })
+      }), { abortSignal: signal })
+
+      return {
+        body: response.Body,
+        etag: response.ETag,
+        contentType: response.ContentType,
+        contentLength: response.ContentLength,
+        contentRange: response.ContentRange,
+        cacheControl: response.CacheControl,
+        contentDisposition: response.ContentDisposition,
+        metadata: response.Metadata
+      }
+    } catch (error) {
+      throw new Error(`Failed to read ${fileKey}: ${error.message}`, { cause: error })
+    }
+  }
+
+  async putObjectStream(fileKey, body, { contentType, cacheControl, contentDisposition, metadata, signal, onProgress } = {}) {
+    try {
+      await this.ensureClient()
+
+      const upload = new Upload({
+        client: this.s3Client,
+        params: {
+          Bucket: this.bucketName,
+          Key: fileKey,
+          Body: body,
+          ContentType: contentType || this.getFileType(fileKey),
+          ...(cacheControl && { CacheControl: cacheControl }),
+          ...(contentDisposition && { ContentDisposition: contentDisposition }),
+          ...(metadata && { Metadata: metadata })
+        },
+        abortController: signal ? abortControllerFor(signal) : undefined
       })
 
-      const response = await this.s3Client.send(command)
-      
-      // Convert stream to blob
-      const chunks = []
-      const reader = response.Body.getReader()
-      
-      while (true) {
-        const { done, value } = await reader.read()
-        if (done) break
-        chunks.push(value)
+      if (onProgress) {
+        upload.on('httpUploadProgress', (progress) => onProgress(progress.loaded || 0))
       }
-      
-      const blob = new Blob(chunks, { type: response.ContentType })
-      const url = URL.createObjectURL(blob)
-      
+
+      await upload.done()
+      return makeSerializable({ key: fileKey })
+    } catch (error) {
+      throw new Error(`Failed to write ${fileKey}: ${error.message}`)
+    }
+  }
+
+  async headObject(fileKey) {
+    try {
+      await this.ensureClient()
+
+      const response = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileKey
+      }))
+
       return makeSerializable({
-        url,
-        filename: fileKey.split('/').pop(),
-        size: response.ContentLength
+        key: fileKey,
+        size: response.ContentLength || 0,
+        etag: response.ETag || '',
+        contentType: response.ContentType || '',
+        lastModified: response.LastModified ? response.LastModified.toISOString() : null
       })
     } catch (error) {
-      throw new Error(`Failed to download file: ${error.message}`)
+      throw new Error(`Failed to read ${fileKey}: ${error.message}`)
     }
   }
 
@@ -234,71 +832,729 @@ await upload.done()
     }
   }
 
-  async deleteFolder(folderKey) {
+  // Expand files and folders into the full list of object keys they cover
+  async planDelete(items, { signal } = {}) {
+    const objects = []
+
+    for (const item of items) {
+      if (item.isFolder) {
+        objects.push(...await this.listAllObjects(`${item.key}/`, { signal }))
+      } else {
+        objects.push({ key: item.key, size: item.size || 0 })
+      }
+    }
+
+    return objects
+  }
+
+  // Deletes files and folders in DeleteObjects batches of up to 1000 keys.
+  // With dryRun, only counts what would be deleted. Per-key failures are reported, not thrown.
+  async deleteItems(items, { dryRun = false, onProgress, signal } = {}) {
     try {
       await this.ensureClient()
-      
-      // List all objects in the folder
-      const listCommand = new ListObjectsV2Command({
-        Bucket: this.bucketName,
-        Prefix: `${folderKey}/`
-      })
 
-      const response = await this.s3Client.send(listCommand)
-      
-      if (response.Contents && response.Contents.length > 0) {
-        // Delete all objects in the folder
-        const deleteCommand = new DeleteObjectsCommand({
-          Bucket: this.bucketName,
-          Delete: {
-            Objects: response.Contents.map(obj => ({ Key: obj.Key }))
-          }
+      const objects = await this.planDelete(items, { signal })
+
+      if (dryRun) {
+        return makeSerializable({
+          total: objects.length,
+          totalSize: objects.reduce((sum, obj) => sum + (obj.size || 0), 0)
         })
+      }
+
+      const keys = objects.map(obj => obj.key)
+      const report = { total: keys.length, succeeded: [], failed: [], notAttempted: [], cancelled: false }
+
+      for (let start = 0; start < keys.length; start += DELETE_BATCH_SIZE) {
+        if (signal?.aborted) {
+          report.cancelled = true
+          report.notAttempted = keys.slice(start)
+          break
+        }
+
+        onProgress?.({ completed: start, total: keys.length, currentKey: keys[start] })
+        const batch = keys.slice(start, start + DELETE_BATCH_SIZE)
+
+        try {
+          const response = await this.s3Client.send(new DeleteObjectsCommand({
+            Bucket: this.bucketName,
+            Delete: {
+              Objects: batch.map(key => ({ Key: key })),
+              Quiet: true
+            }
+          }))
+
+          const batchErrors = (response.Errors || []).map(err => ({
+            key: err.Key,
+            error: `${err.Code}: ${err.Message}`
+          }))
+          const failedKeys = new Set(batchErrors.map(err => err.key))
 
-        await this.s3Client.send(deleteCommand)
+          report.failed.push(...batchErrors)
+          report.succeeded.push(...batch.filter(key => !failedKeys.has(key)))
+        } catch (error) {
+          report.failed.push(...batch.map(key => ({ key, error: error.message })))
+        }
       }
-      
+
+      onProgress?.({ completed: report.succeeded.length + report.failed.length, total: keys.length, currentKey: null })
+      return makeSerializable(report)
+    } catch (error) {
+      throw new Error(`Failed to delete: ${error.message}`)
+    }
+  }
+
+  async deleteFolder(folderKey, options = {}) {
+    return this.deleteItems([{ key: folderKey, isFolder: true }], options)
+  }
+
+  async objectExists(fileKey) {
+    await this.ensureClient()
+
+    try {
+      await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileKey
+      }))
       return true
     } catch (error) {
-      throw new Error(`Failed to delete folder: ${error.message}`)
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false
+      throw error
     }
   }
 
-  async searchFiles(query, path = '') {
+  async prefixExists(folderKey) {
+    await this.ensureClient()
+
+    const response = await this.s3Client.send(new ListObjectsV2Command({
+      Bucket: this.bucketName,
+      Prefix: `${folderKey}/`,
+      MaxKeys: 1
+    }))
+    return (response.KeyCount || 0) > 0
+  }
+
+  // Raw listing of every object under a prefix (no delimiter), following all pages
+  // delimiter: '/' lists only the objects directly in the prefix
+  async listAllObjects(prefix, { signal, delimiter } = {}) {
+    await this.ensureClient()
+
+    const objects = []
+    let continuationToken = null
+
+    do {
+      if (signal?.aborted) break
+
+      const response = await this.s3Client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ...(delimiter && { Delimiter: delimiter }),
+        ...(continuationToken && { ContinuationToken: continuationToken })
+      }), { abortSignal: signal })
+
+      objects.push(...(response.Contents || []).map(obj => ({
+        key: obj.Key,
+        size: obj.Size || 0,
+        etag: obj.ETag || '',
+        lastModified: obj.LastModified ? obj.LastModified.toISOString() : null
+      })))
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : null
+    } while (continuationToken)
+
+    return makeSerializable(objects)
+  }
+
+  async copyObject(sourceKey, destinationKey, options = {}) {
     try {
       await this.ensureClient()
-      
+
+      const size = options.size ?? (await this.s3Client.send(new HeadObjectCommand({
+        Bucket: options.sourceBucket || this.bucketName,
+        Key: sourceKey,
+        ...(options.sourceVersionId && { VersionId: options.sourceVersionId })
+      }))).ContentLength
+
+      if (size > MAX_SINGLE_COPY_BYTES) {
+        await this.copyLargeObject(sourceKey, destinationKey, size, options)
+      } else {
+        await this.s3Client.send(new CopyObjectCommand({
+          Bucket: this.bucketName,
+          Key: destinationKey,
+          CopySource: encodeCopySource(options.sourceBucket || this.bucketName, sourceKey, options.sourceVersionId),
+          ...(options.replaceMetadata && { MetadataDirective: 'REPLACE', ...options.replaceMetadata })
+        }), { abortSignal: options.signal })
+      }
+
+      return makeSerializable({ success: true, sourceKey, destinationKey, size })
+    } catch (error) {
+      throw new Error(`Failed to copy ${sourceKey}: ${error.message}`, { cause: error })
+    }
+  }
+
+  // A multipart upload starts without the source's headers and tags, so they are read from the source
+  // and set again, as CopyObject's MetadataDirective and TaggingDirective COPY would. Headers are
+  // only read when not being replaced; when the tags can't be read the copy is refused rather than
+  // silently dropping them.
+  async copyLargeObject(sourceKey, destinationKey, size, options = {}) {
+    const sourceBucket = options.sourceBucket || this.bucketName
+    const copySource = encodeCopySource(sourceBucket, sourceKey, options.sourceVersionId)
+    const partSize = Math.max(MIN_COPY_PART_BYTES, Math.ceil(size / 10000))
+
+    let headers = options.replaceMetadata
+    if (!headers) {
+      const head = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: sourceBucket,
+        Key: sourceKey,
+        ...(options.sourceVersionId && { VersionId: options.sourceVersionId })
+      }), { abortSignal: options.signal })
+      headers = {
+        ContentType: head.ContentType || this.getFileType(destinationKey),
+        Metadata: head.Metadata || {},
+        ...(head.CacheControl && { CacheControl: head.CacheControl }),
+        ...(head.ContentDisposition && { ContentDisposition: head.ContentDisposition }),
+        ...(head.ContentEncoding && { ContentEncoding: head.ContentEncoding }),
+        ...(head.ContentLanguage && { ContentLanguage: head.ContentLanguage })
+      }
+    }
+
+    let tagSet
+    try {
+      const tagging = await this.s3Client.send(new GetObjectTaggingCommand({
+        Bucket: sourceBucket,
+        Key: sourceKey,
+        ...(options.sourceVersionId && { VersionId: options.sourceVersionId })
+      }), { abortSignal: options.signal })
+      tagSet = tagging.TagSet || []
+    } catch (error) {
+      throw new Error(`Objects over 5 GB are copied in parts, which needs their tags to be read: ${error.message}`, { cause: error })
+    }
+
+    const { UploadId } = await this.s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: destinationKey,
+      ...headers
+    }))
+
+    try {
+      const parts = []
+      for (let start = 0, partNumber = 1; start < size; start += partSize, partNumber++) {
+        const end = Math.min(start + partSize, size) - 1
+        const response = await this.s3Client.send(new UploadPartCopyCommand({
+          Bucket: this.bucketName,
+          Key: destinationKey,
+          UploadId,
+          PartNumber: partNumber,
+          CopySource: copySource,
+          CopySourceRange: `bytes=${start}-${end}`
+        }), { abortSignal: options.signal })
+        parts.push({ PartNumber: partNumber, ETag: response.CopyPartResult.ETag })
+      }
+
+      await this.s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: destinationKey,
+        UploadId,
+        MultipartUpload: { Parts: parts }
+      }))
+    } catch (error) {
+      await this.s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: destinationKey,
+        UploadId
+      })).catch(() => {})
+      throw error
+    }
+
+    if (tagSet.length > 0) {
+      try {
+        await this.s3Client.send(new PutObjectTaggingCommand({
+          Bucket: this.bucketName,
+          Key: destinationKey,
+          Tagging: { TagSet: tagSet }
+        }))
+      } catch (error) {
+        throw new Error(`Copied ${sourceKey} but could not restore its tags: ${error.message}`, { cause: error })
+      }
+    }
+  }
+
+  async moveObject(sourceKey, destinationKey, options = {}) {
+    if (sourceKey === destinationKey) {
+      throw new Error('Source and destination are the same')
+    }
+
+    await this.copyObject(sourceKey, destinationKey, options)
+
+    try {
+      await this.s3Client.send(new DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: sourceKey
+      }))
+    } catch (error) {
+      throw new Error(`Copied ${sourceKey} but could not delete the original: ${error.message}`)
+    }
+
+    return makeSerializable({ success: true, sourceKey, destinationKey })
+  }
+
+  // Expand files and folders into one { sourceKey, destinationKey, size } entry per object
+  // sameBucket: false skips the checks that only matter when source and destination share a bucket
+  async planTransfer(items, destinationPath = '', { signal, sameBucket = true } = {}) {
+    const plan = []
+
+    for (const item of items) {
+      const name = item.key.split('/').pop()
+
+      if (item.isFolder) {
+        if (sameBucket && (destinationPath === item.key || destinationPath.startsWith(`${item.key}/`))) {
+          throw new Error(`Cannot move ${name} into itself`)
+        }
+
+        const sourcePrefix = `${item.key}/`
+        const destinationPrefix = `${joinKey(destinationPath, item.newName || name)}/`
+        const objects = await this.listAllObjects(sourcePrefix, { signal })
+
+        objects.forEach(obj => plan.push({
+          sourceKey: obj.key,
+          destinationKey: destinationPrefix + obj.key.slice(sourcePrefix.length),
+          size: obj.size
+        }))
+      } else {
+        plan.push({
+          sourceKey: item.key,
+          destinationKey: joinKey(destinationPath, item.newName || name),
+          size: item.size
+        })
+      }
+    }
+
+    return sameBucket ? plan.filter(entry => entry.sourceKey !== entry.destinationKey) : plan
+  }
+
+  // Names of items that already exist at the destination and would be overwritten or merged
+  async findConflicts(items, destinationPath = '') {
+    const conflicts = []
+
+    for (const item of items) {
+      const name = item.newName || item.key.split('/').pop()
+      const destinationKey = joinKey(destinationPath, name)
+      if (destinationKey === item.key) continue
+
+      const exists = item.isFolder
+        ? await this.prefixExists(destinationKey)
+        : await this.objectExists(destinationKey)
+      if (exists) conflicts.push(name)
+    }
+
+    return conflicts
+  }
+
+  // Moves files and folders one object at a time and stops at the first failure.
+  // Resolves with a report of what moved, what failed and what was never attempted.
+  async moveItems(items, destinationPath = '', { onProgress, signal } = {}) {
+    await this.ensureClient()
+
+    const plan = await this.planTransfer(items, destinationPath, { signal })
+    const report = { total: plan.length, moved: [], failed: [], notAttempted: [], cancelled: false }
+
+    for (let i = 0; i < plan.length; i++) {
+      const entry = plan[i]
+
+      if (signal?.aborted) {
+        report.cancelled = true
+        report.notAttempted = plan.slice(i).map(e => e.sourceKey)
+        break
+      }
+
+      onProgress?.({ completed: i, total: plan.length, currentKey: entry.sourceKey })
+
+      try {
+        await this.moveObject(entry.sourceKey, entry.destinationKey, { size: entry.size, signal })
+        report.moved.push(entry.sourceKey)
+      } catch (error) {
+        report.failed.push({ key: entry.sourceKey, error: error.message })
+        report.notAttempted = plan.slice(i + 1).map(e => e.sourceKey)
+        break
+      }
+    }
+
+    onProgress?.({ completed: report.moved.length, total: plan.length, currentKey: null })
+    return makeSerializable(report)
+  }
+
+  async renameItem(item, newName, options = {}) {
+    const trimmed = newName.trim()
+    if (!trimmed || trimmed.includes('/')) {
+      throw new Error('Name cannot be empty or contain "/"')
+    }
+
+    const parentPath = item.key.split('/').slice(0, -1).join('/')
+    const destinationKey = joinKey(parentPath, trimmed)
+    const exists = item.isFolder
+      ? await this.prefixExists(destinationKey)
+      : await this.objectExists(destinationKey)
+
+    if (exists) {
+      throw new Error(`${trimmed} already exists`)
+    }
+
+    return this.moveItems([{ ...item, newName: trimmed }], parentPath, options)
+  }
+
+  // Walks every object under a path page by page and streams matches through onResults.
+  // Pass an AbortSignal in options.signal to cancel the walk.
+  async searchFiles(query, path = '', options = {}) {
+    const { filters = {}, signal, onResults, onProgress, pageSize = 1000 } = options
+    const results = []
+
+    try {
+      await this.ensureClient()
+
       const prefix = path ? `${path}/` : ''
-      const searchTerm = query.toLowerCase()
-      
-      const command = new ListObjectsV2Command({
+      const matches = buildSearchMatcher(query, filters, (key) => this.getFileType(key))
+      let scanned = 0
+      let continuationToken = null
+
+      do {
+        if (signal?.aborted) break
+
+        const command = new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: prefix,
+          MaxKeys: Math.min(Math.max(1, pageSize), 1000),
+          ...(continuationToken && { ContinuationToken: continuationToken })
+        })
+
+        const response = await this.s3Client.send(command, { abortSignal: signal })
+        const contents = (response.Contents || []).filter(obj => !obj.Key.endsWith('/'))
+        scanned += contents.length
+
+        const batch = contents
+          .filter(matches)
+          .map(obj => makeSerializable({
+            key: obj.Key,
+            name: obj.Key.split('/').pop(),
+            size: obj.Size,
+            lastModified: obj.LastModified.toISOString(),
+            type: this.getFileType(obj.Key),
+            etag: obj.ETag,
+            isFolder: false
+          }))
+
+        results.push(...batch)
+        if (batch.length > 0) onResults?.(batch)
+        onProgress?.({ scanned, matched: results.length })
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : null
+      } while (continuationToken)
+
+      return makeSerializable(results)
+    } catch (error) {
+      if (signal?.aborted || error.name === 'AbortError') {
+        return makeSerializable(results)
+      }
+      throw new Error(`Failed to search files: ${error.message}`)
+    }
+  }
+
+  // HeadObject properties plus the object's tag set
+  async getObjectDetails(fileKey, versionId) {
+    try {
+      await this.ensureClient()
+
+      const params = {
         Bucket: this.bucketName,
-        Prefix: prefix
+        Key: fileKey,
+        ...(versionId && { VersionId: versionId })
+      }
+      const [head, tagging] = await Promise.all([
+        this.s3Client.send(new HeadObjectCommand(params)),
+        this.s3Client.send(new GetObjectTaggingCommand(params)).catch(error => {
+          // Tag reads can be denied separately from object reads
+          console.warn('Failed to read object tags:', error)
+          return null
+        })
+      ])
+
+      return makeSerializable({
+        key: fileKey,
+        size: head.ContentLength || 0,
+        lastModified: head.LastModified ? head.LastModified.toISOString() : null,
+        etag: head.ETag || '',
+        versionId: head.VersionId || null,
+        contentType: head.ContentType || '',
+        cacheControl: head.CacheControl || '',
+        contentDisposition: head.ContentDisposition || '',
+        contentEncoding: head.ContentEncoding || '',
+        contentLanguage: head.ContentLanguage || '',
+        // S3 omits the header for the default class
+        storageClass: head.StorageClass || 'STANDARD',
+        serverSideEncryption: head.ServerSideEncryption || null,
+        kmsKeyId: head.SSEKMSKeyId || null,
+        metadata: head.Metadata || {},
+        tags: tagging ? (tagging.TagSet || []).map(tag => ({ key: tag.Key, value: tag.Value })) : null
       })
+    } catch (error) {
+      throw new Error(`Failed to load object details: ${error.message}`)
+    }
+  }
 
-      const response = await this.s3Client.send(command)
-      
-const filteredFiles = (response.Contents || [])
-        .filter(obj => {
-          const fileName = obj.Key.split('/').pop().toLowerCase()
-          return fileName.includes(searchTerm)
-        })
-        .map(obj => makeSerializable({
-          key: obj.Key,
-          name: obj.Key.split('/').pop(),
-          size: obj.Size,
-          lastModified: obj.LastModified.toISOString(),
-          type: this.getFileType(obj.Key),
-          etag: obj.ETag,
-          isFolder: false
+  // Rewrites system and user metadata by copying the object onto itself.
+  // Storage class and encryption are carried over; tags are kept by the copy (objects over 5 GB
+  // get them re-applied after the multipart copy).
+  async updateObjectMetadata(fileKey, { contentType, cacheControl, contentDisposition, contentEncoding, contentLanguage, metadata = {} }) {
+    try {
+      const current = await this.getObjectDetails(fileKey)
+
+      const replaceMetadata = {
+        ContentType: contentType || 'application/octet-stream',
+        Metadata: Object.fromEntries(
+          Object.entries(metadata)
+            .map(([key, value]) => [key.trim().toLowerCase().replace(/^x-amz-meta-/, ''), value])
+            .filter(([key]) => key)
+        ),
+        ...(cacheControl && { CacheControl: cacheControl }),
+        ...(contentDisposition && { ContentDisposition: contentDisposition }),
+        ...(contentEncoding && { ContentEncoding: contentEncoding }),
+        ...(contentLanguage && { ContentLanguage: contentLanguage }),
+        ...(current.storageClass !== 'STANDARD' && { StorageClass: current.storageClass }),
+        ...(current.serverSideEncryption && { ServerSideEncryption: current.serverSideEncryption }),
+        ...(current.kmsKeyId && { SSEKMSKeyId: current.kmsKeyId })
+      }
+
+      await this.copyObject(fileKey, fileKey, { size: current.size, replaceMetadata })
+      return this.getObjectDetails(fileKey)
+    } catch (error) {
+      throw new Error(`Failed to update metadata: ${error.message}`)
+    }
+  }
+
+  async updateObjectTags(fileKey, tags = []) {
+    try {
+      await this.ensureClient()
+
+      const tagSet = tags
+        .map(tag => ({ Key: tag.key.trim(), Value: (tag.value || '').trim() }))
+        .filter(tag => tag.Key)
+
+      if (tagSet.length > MAX_OBJECT_TAGS) {
+        throw new Error(`Objects can have at most ${MAX_OBJECT_TAGS} tags`)
+      }
+      if (new Set(tagSet.map(tag => tag.Key)).size !== tagSet.length) {
+        throw new Error('Tag keys must be unique')
+      }
+      const invalid = tagSet.find(tag => tag.Key.length > 128 || tag.Value.length > 256)
+      if (invalid) {
+        throw new Error(`Tag "${invalid.Key.slice(0, 20)}" exceeds the 128 character key or 256 character value limit`)
+      }
+
+      if (tagSet.length === 0) {
+        await this.s3Client.send(new DeleteObjectTaggingCommand({
+          Bucket: this.bucketName,
+          Key: fileKey
         }))
+      } else {
+        await this.s3Client.send(new PutObjectTaggingCommand({
+          Bucket: this.bucketName,
+          Key: fileKey,
+          Tagging: { TagSet: tagSet }
+        }))
+      }
 
-      return makeSerializable(filteredFiles)
+      return makeSerializable(tagSet.map(tag => ({ key: tag.Key, value: tag.Value })))
     } catch (error) {
-      throw new Error(`Failed to search files: ${error.message}`)
+      throw new Error(`Failed to update tags: ${error.message}`)
     }
   }
 
+  async getVersioningStatus() {
+    try {
+      await this.ensureClient()
+
+      const response = await this.s3Client.send(new GetBucketVersioningCommand({
+        Bucket: this.bucketName
+      }))
+      // Status is absent for buckets that never had versioning enabled
+      return response.Status || 'Disabled'
+    } catch (error) {
+      throw new Error(`Failed to read versioning status: ${error.message}`)
+    }
+  }
+
+  // Every version and delete marker of one key, newest first
+  async listObjectVersions(fileKey) {
+    try {
+      await this.ensureClient()
+
+      const versions = []
+      let keyMarker = null
+      let versionIdMarker = null
+
+      do {
+        const response = await this.s3Client.send(new ListObjectVersionsCommand({
+          Bucket: this.bucketName,
+          Prefix: fileKey,
+          ...(keyMarker && { KeyMarker: keyMarker }),
+          ...(versionIdMarker && { VersionIdMarker: versionIdMarker })
+        }))
+
+        // Prefix also matches longer keys, so keep exact matches only
+        const objectVersions = (response.Versions || []).filter(v => v.Key === fileKey)
+        const deleteMarkers = (response.DeleteMarkers || []).filter(m => m.Key === fileKey)
+
+        versions.push(...objectVersions.map(v => ({
+          key: v.Key,
+          versionId: v.VersionId,
+          isLatest: !!v.IsLatest,
+          isDeleteMarker: false,
+          size: v.Size || 0,
+          etag: v.ETag || '',
+          lastModified: v.LastModified ? v.LastModified.toISOString() : null
+        })))
+        versions.push(...deleteMarkers.map(m => ({
+          key: m.Key,
+          versionId: m.VersionId,
+          isLatest: !!m.IsLatest,
+          isDeleteMarker: true,
+          size: 0,
+          etag: '',
+          lastModified: m.LastModified ? m.LastModified.toISOString() : null
+        })))
+
+        const passedKey = response.NextKeyMarker && response.NextKeyMarker > fileKey
+        keyMarker = response.IsTruncated && !passedKey ? response.NextKeyMarker : null
+        versionIdMarker = response.IsTruncated && !passedKey ? response.NextVersionIdMarker : null
+      } while (keyMarker)
+
+      return makeSerializable(versions.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified)))
+    } catch (error) {
+      throw new Error(`Failed to list versions: ${error.message}`)
+    }
+  }
+
+  // Objects directly under a path whose latest version is a delete marker
+  async listDeletedFiles(path = '') {
+    try {
+      await this.ensureClient()
+
+      const prefix = path ? `${path}/` : ''
+      const deleted = []
+      let keyMarker = null
+      let versionIdMarker = null
+
+      do {
+        const response = await this.s3Client.send(new ListObjectVersionsCommand({
+          Bucket: this.bucketName,
+          Prefix: prefix,
+          Delimiter: '/',
+          ...(keyMarker && { KeyMarker: keyMarker }),
+          ...(versionIdMarker && { VersionIdMarker: versionIdMarker })
+        }))
+
+        const latestMarkers = (response.DeleteMarkers || [])
+          .filter(marker => marker.IsLatest && marker.Key !== prefix)
+
+        deleted.push(...latestMarkers.map(marker => ({
+            key: marker.Key,
+            name: marker.Key.split('/').pop(),
+            size: 0,
+            lastModified: marker.LastModified ? marker.LastModified.toISOString() : new Date().toISOString(),
+            type: this.getFileType(marker.Key),
+            etag: '',
+            isFolder: false,
+            isDeleted: true,
+            deleteMarkerVersionId: marker.VersionId
+          })))
+
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : null
+        versionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : null
+      } while (keyMarker)
+
+      return makeSerializable(deleted)
+    } catch (error) {
+      throw new Error(`Failed to list deleted files: ${error.message}`)
+    }
+  }
+
+  // Make an older version current again by copying it over the key
+  async restoreVersion(fileKey, versionId, size) {
+    try {
+      await this.copyObject(fileKey, fileKey, { sourceVersionId: versionId, size })
+      return makeSerializable({ success: true, key: fileKey, restoredVersionId: versionId })
+    } catch (error) {
+      throw new Error(`Failed to restore version: ${error.message}`)
+    }
+  }
+
+  // Removing the delete marker brings back the version underneath it
+  async undeleteFile(fileKey, deleteMarkerVersionId) {
+    try {
+      await this.ensureClient()
+
+      await this.s3Client.send(new DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileKey,
+        VersionId: deleteMarkerVersionId
+      }))
+      return makeSerializable({ success: true, key: fileKey })
+    } catch (error) {
+      throw new Error(`Failed to undelete ${fileKey}: ${error.message}`)
+    }
+  }
+
+  async getPresignedUrl(fileKey, expiresIn = PREVIEW_URL_EXPIRY_SECONDS, options = {}) {
+    try {
+      await this.ensureClient()
+
+      const requested = Math.max(1, Math.floor(Number(expiresIn) || PREVIEW_URL_EXPIRY_SECONDS))
+      const clamped = requested > MAX_PRESIGN_EXPIRY_SECONDS
+      const effectiveExpiry = clamped ? MAX_PRESIGN_EXPIRY_SECONDS : requested
+
+      const command = new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: fileKey,
+        ...(options.versionId && { VersionId: options.versionId }),
+        ...(options.contentDisposition && { ResponseContentDisposition: options.contentDisposition }),
+        ...(options.contentType && { ResponseContentType: options.contentType })
+      })
+
+      const url = await getSignedUrl(this.s3Client, command, { expiresIn: effectiveExpiry })
+
+      return makeSerializable({
+        url,
+        expiresIn: effectiveExpiry,
+        expiresAt: new Date(Date.now() + effectiveExpiry * 1000).toISOString(),
+        clamped,
+        warning: clamped
+          ? `Presigned URLs cannot be valid for more than 7 days. This link will expire after 7 days instead of ${Math.round(requested / 86400)} days.`
+          : null
+      })
+    } catch (error) {
+      throw new Error(`Failed to generate presigned URL: ${error.message}`)
+    }
+  }
+
+  async generateShareUrl(fileKey, expiresIn = 24 * 60 * 60, options = {}) {
+    const fileName = fileKey.split('/').pop()
+    return this.getPresignedUrl(fileKey, expiresIn, {
+      ...options,
+      contentDisposition: options.forceDownload
+        ? `attachment; filename="${fileName.replace(/"/g, '')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+        : options.contentDisposition
+    })
+  }
+
+  async getFilePreviewUrl(fileKey) {
+    // Force inline rendering so text and PDFs show in the preview instead of downloading
+    const fileType = this.getFileType(fileKey)
+    const { url } = await this.getPresignedUrl(fileKey, PREVIEW_URL_EXPIRY_SECONDS, {
+      contentDisposition: 'inline',
+      contentType: fileType !== 'application/octet-stream' ? fileType : undefined
+    })
+    return url
+  }
+
   async createFolder(folderName, path = '') {
     try {
       await this.ensureClient()
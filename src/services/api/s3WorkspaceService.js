@@ -0,0 +1,184 @@
+import bucketConfigService from "@/services/api/bucketConfigService";
+import credentialVaultService from "@/services/api/credentialVaultService";
+import { S3Service } from "@/services/api/s3Service";
+
+const STORAGE_KEY = 's3-vault-workspace-tabs'
+
+// Utility function to ensure objects are serializable (prevent DataCloneError)
+const makeSerializable = (obj) => {
+  if (obj === null || obj === undefined) return obj
+  if (typeof obj !== 'object') return obj
+
+  try {
+    return JSON.parse(JSON.stringify(obj))
+  } catch (error) {
+    console.warn('Object could not be serialized, creating safe copy:', error)
+    return {}
+  }
+}
+
+const EMPTY_PANE = { configId: null, path: '' }
+
+// Keeps one S3Service per saved configuration, the buckets open as tabs and the two panes of
+// the dual-pane layout. Each service rebuilds its client when bucketConfigService reports its config changed.
+class S3WorkspaceService {
+  constructor() {
+    this.services = new Map()
+    this.tabs = []
+    this.selectedConfigId = null
+    // 'tabs' or 'dual'
+    this.layout = 'tabs'
+    this.panes = [EMPTY_PANE, EMPTY_PANE]
+    this.listeners = new Set()
+    this.loadFromLocalStorage()
+    bucketConfigService.subscribe((type, ids) => this.handleConfigChange(type, ids))
+
+    // Cached clients hold decrypted keys, which must not outlive the vault being locked
+    credentialVaultService.subscribe(unlocked => {
+      if (!unlocked) this.services.forEach(service => service.resetClient())
+    })
+  }
+
+  loadFromLocalStorage() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+      if (stored && Array.isArray(stored.tabs)) {
+        this.tabs = stored.tabs.filter(tab => tab && tab.configId !== undefined)
+        this.selectedConfigId = stored.selectedConfigId ?? this.tabs[0]?.configId ?? null
+      }
+      if (stored?.layout === 'dual') this.layout = 'dual'
+      if (Array.isArray(stored?.panes) && stored.panes.length === 2) {
+        this.panes = stored.panes.map(pane => ({ ...EMPTY_PANE, ...pane }))
+      }
+    } catch (error) {
+      console.warn('Failed to load workspace tabs:', error)
+    }
+  }
+
+  saveToLocalStorage() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.getSnapshot()))
+    } catch (error) {
+      console.warn('Failed to save workspace tabs:', error)
+    }
+  }
+
+  handleConfigChange(type, ids) {
+    if (type === 'deleted' || type === 'reloaded') {
+      ids.forEach(id => this.services.delete(id))
+      if (type === 'deleted') {
+        this.clearPanes(ids)
+        ids.forEach(id => this.closeTab(id))
+        this.notify()
+      }
+    } else if (type === 'activated' || type === 'created') {
+      // The active configuration is always open, so switching it brings its bucket forward
+      ids.forEach(id => this.openTab(id))
+    }
+  }
+
+  // Services are cached per config, so every tab on the same bucket shares one client
+  getService(configId) {
+    if (!this.services.has(configId)) {
+      this.services.set(configId, new S3Service({ configId }))
+    }
+    return this.services.get(configId)
+  }
+
+  getSnapshot() {
+    return makeSerializable({
+      tabs: this.tabs,
+      selectedConfigId: this.selectedConfigId,
+      layout: this.layout,
+      panes: this.panes
+    })
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notify() {
+    this.saveToLocalStorage()
+    const snapshot = this.getSnapshot()
+    this.listeners.forEach(listener => listener(snapshot))
+  }
+
+  // Opening a bucket that is already open just selects its tab
+  openTab(configId, path = '') {
+    if (!this.tabs.some(tab => tab.configId === configId)) {
+      this.tabs = [...this.tabs, { configId, path }]
+    }
+    this.selectedConfigId = configId
+    this.notify()
+  }
+
+  closeTab(configId) {
+    const index = this.tabs.findIndex(tab => tab.configId === configId)
+    if (index === -1) return
+
+    this.tabs = this.tabs.filter(tab => tab.configId !== configId)
+    if (this.selectedConfigId === configId) {
+      this.selectedConfigId = (this.tabs[index] || this.tabs[index - 1])?.configId ?? null
+    }
+    this.notify()
+  }
+
+  selectTab(configId) {
+    if (!this.tabs.some(tab => tab.configId === configId)) return
+    this.selectedConfigId = configId
+    this.notify()
+  }
+
+  setTabPath(configId, path) {
+    this.tabs = this.tabs.map(tab => (tab.configId === configId ? { ...tab, path } : tab))
+    this.notify()
+  }
+
+  setLayout(layout) {
+    this.layout = layout === 'dual' ? 'dual' : 'tabs'
+    // Panes start on the bucket being browsed, so switching layouts keeps the user in place
+    if (this.layout === 'dual') {
+      const selected = this.tabs.find(tab => tab.configId === this.selectedConfigId)
+      this.panes = this.panes.map(pane => (pane.configId === null && selected ? { ...selected } : pane))
+    }
+    this.notify()
+  }
+
+  // index is 0 (left) or 1 (right); changing the configuration starts at the bucket root
+  setPane(index, patch) {
+    this.panes = this.panes.map((pane, i) => {
+      if (i !== index) return pane
+      const configChanged = patch.configId !== undefined && patch.configId !== pane.configId
+      return { ...pane, ...(configChanged && { path: '' }), ...patch }
+    })
+    this.notify()
+  }
+
+  swapPanes() {
+    this.panes = [this.panes[1], this.panes[0]]
+    this.notify()
+  }
+
+  clearPanes(configIds) {
+    this.panes = this.panes.map(pane => (configIds.includes(pane.configId) ? EMPTY_PANE : pane))
+  }
+
+  // Drop tabs and panes for configurations that no longer exist, e.g. after the vault was reset
+  pruneTabs(configIds) {
+    const known = new Set(configIds)
+    const unknownPanes = this.panes.filter(pane => pane.configId !== null && !known.has(pane.configId))
+    if (this.tabs.every(tab => known.has(tab.configId)) && unknownPanes.length === 0) return
+
+    this.clearPanes(unknownPanes.map(pane => pane.configId))
+
+    this.tabs = this.tabs.filter(tab => known.has(tab.configId))
+    if (!known.has(this.selectedConfigId)) {
+      this.selectedConfigId = this.tabs[0]?.configId ?? null
+    }
+    this.notify()
+  }
+}
+
+export default new S3WorkspaceService()
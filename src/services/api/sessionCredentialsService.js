@@ -0,0 +1,179 @@
+import { AssumeRoleCommand, STSClient } from "@aws-sdk/client-sts";
+import credentialVaultService from "@/services/api/credentialVaultService";
+import { resolveEndpoint } from "@/services/api/s3ClientFactory";
+
+export const DEFAULT_SESSION_DURATION_SECONDS = 3600
+export const MIN_SESSION_DURATION_SECONDS = 900
+export const MAX_SESSION_DURATION_SECONDS = 43200
+// Sessions are renewed this long before they expire
+const REFRESH_BEFORE_EXPIRY_MS = 10 * 60 * 1000
+// A session closer than this to expiry is not handed out (the SDK itself refreshes 5 minutes early)
+const MIN_REMAINING_MS = 5 * 60 * 1000
+
+// Configurations assuming the same role with the same base keys share one session, so a
+// session started while testing the form carries over once the configuration is saved
+const sessionKeyFor = (config) =>
+  JSON.stringify([config.accessKey, config.roleArn, config.externalId || '', config.mfaSerial || '', resolveEndpoint(config) || ''])
+
+export const usesAssumeRole = (config) => Boolean(config?.roleArn?.trim())
+
+// Temporary credentials from STS AssumeRole, kept in memory only and renewed before expiry.
+// Roles that require MFA cannot be renewed unattended; their session reports needsMfa instead.
+class SessionCredentialsService {
+  constructor() {
+    // sessionKey -> { credentials, expiration, roleArn, needsMfa, refreshTimer, pending }
+    this.sessions = new Map()
+    this.listeners = new Set()
+
+    credentialVaultService.subscribe(unlocked => {
+      if (!unlocked) this.clear()
+    })
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener())
+  }
+
+  // { expiration, needsMfa } for the role session behind a configuration, or null if none is active
+  getSessionInfo(config) {
+    if (!usesAssumeRole(config)) return null
+    const session = this.sessions.get(sessionKeyFor(config))
+    if (!session?.expiration) return null
+    return { expiration: session.expiration, needsMfa: session.needsMfa }
+  }
+
+  async assumeRole(config, tokenCode) {
+    const endpoint = resolveEndpoint(config)
+    const client = new STSClient({
+      // STS has no China or GovCloud global endpoint, so stay in the bucket's region
+      region: config.region || 'us-east-1',
+      credentials: {
+        accessKeyId: config.accessKey,
+        secretAccessKey: config.secretKey,
+        ...(config.sessionToken && { sessionToken: config.sessionToken })
+      },
+      // MinIO and LocalStack serve STS from the same endpoint as S3
+      ...(endpoint && { endpoint })
+    })
+
+    try {
+      const response = await client.send(new AssumeRoleCommand({
+        RoleArn: config.roleArn.trim(),
+        RoleSessionName: config.roleSessionName?.trim() || `s3-vault-${Date.now()}`,
+        DurationSeconds: parseInt(config.sessionDuration, 10) || DEFAULT_SESSION_DURATION_SECONDS,
+        ...(config.externalId && { ExternalId: config.externalId.trim() }),
+        ...(config.mfaSerial && { SerialNumber: config.mfaSerial.trim(), TokenCode: tokenCode })
+      }))
+
+      return {
+        accessKeyId: response.Credentials.AccessKeyId,
+        secretAccessKey: response.Credentials.SecretAccessKey,
+        sessionToken: response.Credentials.SessionToken,
+        expiration: new Date(response.Credentials.Expiration)
+      }
+    } catch (error) {
+      throw new Error(`Failed to assume role: ${error.message}`)
+    } finally {
+      client.destroy()
+    }
+  }
+
+  // Start (or restart) the role session for a configuration. tokenCode is required when the
+  // configuration has an MFA serial.
+  async startSession(config, tokenCode) {
+    if (config.mfaSerial && !tokenCode) {
+      throw new Error('Enter the current code from your MFA device')
+    }
+
+    const key = sessionKeyFor(config)
+    const credentials = await this.assumeRole(config, tokenCode)
+    const previous = this.sessions.get(key)
+    clearTimeout(previous?.refreshTimer)
+
+    const session = {
+      credentials,
+      expiration: credentials.expiration.toISOString(),
+      roleArn: config.roleArn,
+      needsMfa: false,
+      refreshTimer: null
+    }
+    this.sessions.set(key, session)
+    this.scheduleRefresh(key, config)
+    this.notify()
+    return credentials
+  }
+
+  scheduleRefresh(key, config) {
+    const session = this.sessions.get(key)
+    const delay = new Date(session.expiration).getTime() - REFRESH_BEFORE_EXPIRY_MS - Date.now()
+
+    session.refreshTimer = setTimeout(async () => {
+      if (this.sessions.get(key) !== session) return
+
+      if (config.mfaSerial) {
+        session.needsMfa = true
+        this.notify()
+        return
+      }
+
+      try {
+        await this.startSession(config)
+      } catch (error) {
+        console.warn('Failed to refresh role session:', error)
+        // Retry shortly; the current session is still valid for a few minutes
+        session.refreshTimer = setTimeout(() => this.scheduleRefresh(key, config), 60 * 1000)
+      }
+    }, Math.max(0, delay))
+  }
+
+  hasUsableSession(config) {
+    const session = this.sessions.get(sessionKeyFor(config))
+    return Boolean(session?.expiration) && new Date(session.expiration).getTime() - Date.now() > MIN_REMAINING_MS
+  }
+
+  // Credentials provider for the S3 client. Reuses the current session while it has time
+  // left, otherwise assumes the role again (which fails for MFA roles until a code is entered).
+  async getCredentials(config) {
+    const key = sessionKeyFor(config)
+    const session = this.sessions.get(key)
+
+    if (this.hasUsableSession(config)) {
+      return session.credentials
+    }
+
+    if (config.mfaSerial) {
+      throw new Error(session
+        ? 'The role session has expired. Enter an MFA code to start a new one.'
+        : 'This configuration assumes a role that requires MFA. Enter an MFA code to start a session.')
+    }
+
+    // Concurrent requests share one AssumeRole call
+    if (!session?.pending) {
+      const pending = this.startSession(config)
+      this.sessions.set(key, { ...session, pending })
+      pending.catch(() => this.sessions.delete(key))
+      return pending
+    }
+    return session.pending
+  }
+
+  endSession(config) {
+    const key = sessionKeyFor(config)
+    clearTimeout(this.sessions.get(key)?.refreshTimer)
+    this.sessions.delete(key)
+    this.notify()
+  }
+
+  clear() {
+    this.sessions.forEach(session => clearTimeout(session.refreshTimer))
+    this.sessions.clear()
+    this.notify()
+  }
+}
+
+export default new SessionCredentialsService()
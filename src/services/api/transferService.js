@@ -0,0 +1,149 @@
+import { resolveEndpoint } from "@/services/api/s3ClientFactory";
+import s3WorkspaceService from "@/services/api/s3WorkspaceService";
+
+// Utility function to ensure objects are serializable (prevent DataCloneError)
+const makeSerializable = (obj) => {
+  if (obj === null || obj === undefined) return obj
+  if (typeof obj !== 'object') return obj
+
+  try {
+    return JSON.parse(JSON.stringify(obj))
+  } catch (error) {
+    console.warn('Object could not be serialized, creating safe copy:', error)
+    return {}
+  }
+}
+
+// Server-side CopyObject failures that mean the target credentials cannot read the source bucket
+const SERVER_COPY_DENIED_ERRORS = ['AccessDenied', 'AllAccessDisabled', 'NoSuchBucket', 'PermanentRedirect', 'InvalidRequest']
+
+// Same bucket name is not enough: the configs may point at different endpoints (AWS and MinIO,
+// say) that each have a bucket called that
+const isSameEndpoint = (source, target) =>
+  resolveEndpoint(source.clientConfig) === resolveEndpoint(target.clientConfig)
+
+const isSameBucket = (source, target) =>
+  source.bucketName === target.bucketName &&
+  isSameEndpoint(source, target) &&
+  source.clientConfig.region === target.clientConfig.region
+
+const isServerCopyDenied = (error) => {
+  const cause = error.cause || error
+  return SERVER_COPY_DENIED_ERRORS.includes(cause.name) ||
+    [301, 400, 403].includes(cause.$metadata?.httpStatusCode)
+}
+
+class TransferService {
+  // Copies files and folders from one saved configuration to another.
+  // mode: 'auto' tries server-side CopyObject and falls back to streaming through the
+  // browser once the target credentials are refused; 'server' and 'stream' force one method.
+  // deleteSource turns the copy into a move: each source object is deleted once its copy succeeds.
+  async copyBetweenConfigs({
+    sourceConfigId,
+    targetConfigId,
+    items,
+    destinationPath = '',
+    mode = 'auto',
+    concurrency = 3,
+    deleteSource = false,
+    onPlan,
+    onTaskUpdate,
+    signal
+  }) {
+    const source = s3WorkspaceService.getService(sourceConfigId)
+    const target = s3WorkspaceService.getService(targetConfigId)
+    await Promise.all([source.ensureClient(), target.ensureClient()])
+
+    const sameBucket = sourceConfigId === targetConfigId || isSameBucket(source, target)
+    const plan = await source.planTransfer(items, destinationPath, { signal, sameBucket })
+    const tasks = plan.map(entry => ({ ...entry, status: 'queued', method: null, error: null, transferred: 0 }))
+    onPlan?.(makeSerializable(tasks))
+
+    // CopyObject reads the source through the target's endpoint, so other endpoints must stream
+    const sameEndpoint = sourceConfigId === targetConfigId || isSameEndpoint(source, target)
+    if (mode === 'server' && !sameEndpoint) {
+      throw new Error('Server-side copy needs both configurations on the same endpoint')
+    }
+    let serverCopyAllowed = mode === 'stream' || !sameEndpoint ? false : null
+
+    const updateTask = (index, patch) => {
+      tasks[index] = { ...tasks[index], ...patch }
+      onTaskUpdate?.(index, makeSerializable(tasks[index]))
+    }
+
+    const streamCopy = async (index) => {
+      const task = tasks[index]
+      updateTask(index, { method: 'stream' })
+
+      const object = await source.getObjectStream(task.sourceKey, { signal })
+      await target.putObjectStream(task.destinationKey, object.body, {
+        contentType: object.contentType,
+        cacheControl: object.cacheControl,
+        contentDisposition: object.contentDisposition,
+        metadata: object.metadata,
+        signal,
+        onProgress: (transferred) => updateTask(index, { transferred })
+      })
+    }
+
+    const runTask = async (index) => {
+      const task = tasks[index]
+      updateTask(index, { status: 'copying' })
+
+      try {
+        if (serverCopyAllowed === false) {
+          await streamCopy(index)
+        } else {
+          try {
+            updateTask(index, { method: 'server' })
+            await target.copyObject(task.sourceKey, task.destinationKey, {
+              sourceBucket: source.bucketName,
+              size: task.size,
+              signal
+            })
+            serverCopyAllowed = true
+          } catch (error) {
+            if (mode === 'server' || signal?.aborted || !isServerCopyDenied(error)) throw error
+            serverCopyAllowed = false
+            await streamCopy(index)
+          }
+        }
+
+        if (deleteSource) {
+          try {
+            await source.deleteFile(task.sourceKey)
+          } catch (error) {
+            throw new Error(`Copied but could not delete the original: ${error.message}`)
+          }
+        }
+
+        updateTask(index, { status: 'done', transferred: task.size })
+      } catch (error) {
+        updateTask(index, {
+          status: signal?.aborted ? 'cancelled' : 'failed',
+          error: error.message
+        })
+      }
+    }
+
+    let next = 0
+    const worker = async () => {
+      while (next < tasks.length && !signal?.aborted) {
+        await runTask(next++)
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), tasks.length) }, worker))
+
+    return makeSerializable({
+      total: tasks.length,
+      succeeded: tasks.filter(t => t.status === 'done').map(t => t.sourceKey),
+      failed: tasks.filter(t => t.status === 'failed').map(t => ({ key: t.sourceKey, error: t.error })),
+      notAttempted: tasks.filter(t => t.status === 'queued' || t.status === 'cancelled').map(t => t.sourceKey),
+      cancelled: !!signal?.aborted,
+      serverSide: tasks.filter(t => t.status === 'done' && t.method === 'server').length,
+      streamed: tasks.filter(t => t.status === 'done' && t.method === 'stream').length
+    })
+  }
+}
+
+export default new TransferService()
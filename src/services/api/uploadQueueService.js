@@ -0,0 +1,267 @@
+import s3Service from "@/services/api/s3Service";
+
+const CONCURRENCY_STORAGE_KEY = 's3-vault-upload-concurrency'
+const DEFAULT_CONCURRENCY = 3
+const MAX_CONCURRENCY = 10
+
+// Statuses a task can be in; only 'queued' tasks are picked up by the pump
+const ACTIVE_STATUSES = ['queued', 'uploading']
+
+// Transfer queue for uploads. Runs at most `concurrency` uploads at once and lets each task be
+// paused, resumed, cancelled or retried. Lives outside React so uploads keep running while
+// FileUploader is unmounted; components subscribe to snapshots of the queue.
+class UploadQueueService {
+  constructor() {
+    this.tasks = []
+    this.listeners = new Set()
+    this.drainListeners = new Set()
+    this.concurrency = this.loadConcurrency()
+  }
+
+  loadConcurrency() {
+    try {
+      const stored = parseInt(localStorage.getItem(CONCURRENCY_STORAGE_KEY), 10)
+      return Number.isFinite(stored) ? Math.min(Math.max(stored, 1), MAX_CONCURRENCY) : DEFAULT_CONCURRENCY
+    } catch (error) {
+      return DEFAULT_CONCURRENCY
+    }
+  }
+
+  setConcurrency(value) {
+    this.concurrency = Math.min(Math.max(parseInt(value, 10) || 1, 1), MAX_CONCURRENCY)
+    try {
+      localStorage.setItem(CONCURRENCY_STORAGE_KEY, String(this.concurrency))
+    } catch (error) {
+      console.warn('Failed to save upload concurrency:', error)
+    }
+    this.pump()
+    this.notify()
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.getSnapshot())
+    return () => this.listeners.delete(listener)
+  }
+
+  // Called whenever the queue runs out of queued and uploading tasks
+  onDrain(listener) {
+    this.drainListeners.add(listener)
+    return () => this.drainListeners.delete(listener)
+  }
+
+  notify() {
+    const snapshot = this.getSnapshot()
+    this.listeners.forEach(listener => listener(snapshot))
+  }
+
+  // Plain, serializable view of the queue (no File objects or AbortControllers)
+  getSnapshot() {
+    const tasks = this.tasks.map(task => ({
+      id: task.id,
+      file: { name: task.file.name, size: task.file.size, type: task.file.type, lastModified: task.file.lastModified },
+      key: task.key,
+      status: task.status,
+      progress: task.progress,
+      speed: task.speed,
+      error: task.error,
+      resumed: task.resumed,
+      uploadId: task.uploadId
+    }))
+
+    const pending = this.tasks.filter(task => !['completed', 'cancelled'].includes(task.status))
+    const totalBytes = pending.reduce((sum, task) => sum + task.file.size, 0)
+    const uploadedBytes = Math.round(pending.reduce((sum, task) => sum + task.file.size * (task.progress / 100), 0))
+    const speed = this.tasks
+      .filter(task => task.status === 'uploading')
+      .reduce((sum, task) => sum + (task.speed || 0), 0)
+    const remainingBytes = totalBytes - uploadedBytes
+
+    return {
+      tasks,
+      concurrency: this.concurrency,
+      aggregate: {
+        totalBytes,
+        uploadedBytes,
+        progress: totalBytes > 0 ? (uploadedBytes / totalBytes) * 100 : 0,
+        speed,
+        etaSeconds: speed > 0 ? remainingBytes / (speed * 1024 * 1024) : null,
+        active: this.tasks.filter(task => task.status === 'uploading').length,
+        queued: this.tasks.filter(task => task.status === 'queued').length,
+        paused: this.tasks.filter(task => task.status === 'paused').length
+      }
+    }
+  }
+
+  // Multipart uploads that queued or running tasks are still writing parts to
+  getActiveUploadIds(snapshot = this.getSnapshot()) {
+    return new Set(snapshot.tasks
+      .filter(task => ACTIVE_STATUSES.includes(task.status) && task.uploadId)
+      .map(task => task.uploadId))
+  }
+
+  updateTask(id, patch) {
+    this.tasks = this.tasks.map(task => (task.id === id ? { ...task, ...patch } : task))
+    this.notify()
+  }
+
+  findTask(id) {
+    return this.tasks.find(task => task.id === id)
+  }
+
+  // files: File objects, or { file, key } entries when the destination key is already decided
+  enqueue(files, path = '', { service = s3Service } = {}) {
+    const newTasks = files.map(entry => {
+      const file = entry instanceof Blob ? entry : entry.file
+      return {
+        id: Math.random().toString(36).substr(2, 9),
+        file,
+        key: entry instanceof Blob ? null : entry.key,
+        path,
+        service,
+        status: 'queued',
+        progress: 0,
+        speed: 0,
+        error: null,
+        resumed: false,
+        uploadId: null,
+        controller: null,
+        stopReason: null
+      }
+    })
+
+    this.tasks = [...this.tasks, ...newTasks]
+    this.notify()
+    this.pump()
+    return newTasks.map(task => task.id)
+  }
+
+  // Start queued tasks until the concurrency limit is reached
+  pump() {
+    let running = this.tasks.filter(task => task.status === 'uploading').length
+
+    for (const task of this.tasks) {
+      if (running >= this.concurrency) break
+      if (task.status !== 'queued') continue
+
+      running++
+      this.runTask(task.id)
+    }
+  }
+
+  async runTask(id) {
+    const task = this.findTask(id)
+    const controller = new AbortController()
+    this.updateTask(id, { status: 'uploading', error: null, controller, stopReason: null })
+
+    try {
+      const result = await task.service.uploadFile(task.file, task.path, (progress, speed) => {
+        if (!controller.signal.aborted) {
+          this.updateTask(id, { progress: Math.round(progress), speed: speed || 0 })
+        }
+      }, {
+        key: task.key || undefined,
+        signal: controller.signal,
+        onUploadId: uploadId => this.updateTask(id, { uploadId })
+      })
+
+      this.updateTask(id, { status: 'completed', progress: 100, speed: 0, controller: null, resumed: Boolean(result?.resumed) })
+    } catch (error) {
+      const current = this.findTask(id)
+      if (!current) return
+
+      if (current.stopReason === 'pause') {
+        this.updateTask(id, { status: 'paused', speed: 0, controller: null })
+      } else if (current.stopReason === 'cancel') {
+        this.updateTask(id, { status: 'cancelled', speed: 0, controller: null })
+      } else {
+        this.updateTask(id, { status: 'error', speed: 0, error: error.message, controller: null })
+      }
+    } finally {
+      this.pump()
+      this.checkDrained()
+    }
+  }
+
+  checkDrained() {
+    if (this.tasks.some(task => ACTIVE_STATUSES.includes(task.status))) return
+    this.drainListeners.forEach(listener => listener(this.getSnapshot()))
+  }
+
+  // Large files keep their uploaded parts while paused and continue from them on resume
+  pause(id) {
+    const task = this.findTask(id)
+    if (!task) return
+
+    if (task.status === 'uploading') {
+      this.updateTask(id, { stopReason: 'pause' })
+      task.controller?.abort()
+    } else if (task.status === 'queued') {
+      this.updateTask(id, { status: 'paused' })
+    }
+  }
+
+  resume(id) {
+    const task = this.findTask(id)
+    if (!task || !['paused', 'error'].includes(task.status)) return
+
+    this.updateTask(id, { status: 'queued', error: null })
+    this.pump()
+  }
+
+  retry(id) {
+    this.resume(id)
+  }
+
+  async cancel(id) {
+    const task = this.findTask(id)
+    if (!task || ['completed', 'cancelled'].includes(task.status)) return
+
+    if (task.status === 'uploading') {
+      this.updateTask(id, { stopReason: 'cancel' })
+      task.controller?.abort()
+    } else {
+      this.updateTask(id, { status: 'cancelled', speed: 0 })
+      this.checkDrained()
+    }
+
+    // Drop any parts already stored on S3 so they stop accruing cost
+    const key = task.key || (task.path ? `${task.path}/${task.file.name}` : task.file.name)
+    await task.service.discardResumableUpload(task.file, key).catch(error => {
+      console.warn('Failed to discard resumable upload:', error)
+    })
+  }
+
+  pauseAll() {
+    this.tasks
+      .filter(task => ACTIVE_STATUSES.includes(task.status))
+      .forEach(task => this.pause(task.id))
+  }
+
+  resumeAll() {
+    this.tasks = this.tasks.map(task => (task.status === 'paused' ? { ...task, status: 'queued' } : task))
+    this.notify()
+    this.pump()
+  }
+
+  cancelAll() {
+    return Promise.all(this.tasks
+      .filter(task => !['completed', 'cancelled'].includes(task.status))
+      .map(task => this.cancel(task.id)))
+  }
+
+  remove(id) {
+    const task = this.findTask(id)
+    if (task && ACTIVE_STATUSES.includes(task.status)) return
+
+    this.tasks = this.tasks.filter(t => t.id !== id)
+    this.notify()
+  }
+
+  clearFinished() {
+    this.tasks = this.tasks.filter(task => !['completed', 'cancelled'].includes(task.status))
+    this.notify()
+  }
+}
+
+export default new UploadQueueService()
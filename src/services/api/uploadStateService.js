@@ -0,0 +1,92 @@
+// Persists in-progress multipart upload state in IndexedDB so uploads can resume after a reload.
+// Records are keyed by file fingerprint: { fingerprint, bucket, key, uploadId, partSize, parts, ... }
+
+const DB_NAME = 's3-vault'
+const DB_VERSION = 1
+const STORE_NAME = 'multipart-uploads'
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+class UploadStateService {
+  constructor() {
+    this.dbPromise = null
+  }
+
+  openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'))
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+          const db = request.result
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'fingerprint' })
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+          this.dbPromise = null
+          reject(request.error)
+        }
+      })
+    }
+    return this.dbPromise
+  }
+
+  async withStore(mode, callback) {
+    const db = await this.openDatabase()
+    const transaction = db.transaction(STORE_NAME, mode)
+    return promisify(callback(transaction.objectStore(STORE_NAME)))
+  }
+
+  async get(fingerprint) {
+    try {
+      return (await this.withStore('readonly', store => store.get(fingerprint))) || null
+    } catch (error) {
+      console.warn('Failed to read upload state:', error)
+      return null
+    }
+  }
+
+  async getAll() {
+    try {
+      return await this.withStore('readonly', store => store.getAll())
+    } catch (error) {
+      console.warn('Failed to read upload states:', error)
+      return []
+    }
+  }
+
+  async save(state) {
+    try {
+      await this.withStore('readwrite', store => store.put({ ...state, updatedAt: new Date().toISOString() }))
+    } catch (error) {
+      // Losing the record only costs resumability, never the upload itself
+      console.warn('Failed to save upload state:', error)
+    }
+  }
+
+  async remove(fingerprint) {
+    try {
+      await this.withStore('readwrite', store => store.delete(fingerprint))
+    } catch (error) {
+      console.warn('Failed to remove upload state:', error)
+    }
+  }
+
+  async removeByUploadId(uploadId) {
+    const states = await this.getAll()
+    await Promise.all(states
+      .filter(state => state.uploadId === uploadId)
+      .map(state => this.remove(state.fingerprint)))
+  }
+}
+
+export default new UploadStateService()
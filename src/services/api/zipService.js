@@ -0,0 +1,330 @@
+import s3Service from "@/services/api/s3Service";
+
+// Without a save handle the archive is assembled as a Blob, which browsers struggle with past this size
+export const MAX_IN_MEMORY_ZIP_BYTES = 2 * 1024 * 1024 * 1024
+
+const PROGRESS_INTERVAL_MS = 200
+
+const UINT32_MAX = 0xFFFFFFFF
+const UINT16_MAX = 0xFFFF
+const VERSION_DEFAULT = 20
+const VERSION_ZIP64 = 45
+// Bit 3: sizes and CRC follow the data in a descriptor; bit 11: names are UTF-8
+const GENERAL_PURPOSE_FLAGS = 0x0808
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+const updateCrc32 = (crc, data) => {
+  let c = crc ^ UINT32_MAX
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8)
+  }
+  return (c ^ UINT32_MAX) >>> 0
+}
+
+// MS-DOS date and time fields used by ZIP headers
+const toDosDateTime = (value) => {
+  const date = value ? new Date(value) : new Date()
+  const year = Math.max(date.getFullYear(), 1980)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+// Little-endian byte builder for headers
+const buildRecord = (fields) => {
+  const length = fields.reduce((sum, [size, value]) => sum + (size === 'bytes' ? value.length : size), 0)
+  const bytes = new Uint8Array(length)
+  const view = new DataView(bytes.buffer)
+  let offset = 0
+
+  for (const [size, value] of fields) {
+    if (size === 'bytes') {
+      bytes.set(value, offset)
+      offset += value.length
+    } else {
+      if (size === 2) view.setUint16(offset, value, true)
+      if (size === 4) view.setUint32(offset, value, true)
+      if (size === 8) view.setBigUint64(offset, BigInt(value), true)
+      offset += size
+    }
+  }
+  return bytes
+}
+
+// Streaming ZIP writer using the "stored" method (S3 content is usually already compressed).
+// Entries switch to ZIP64 records only when their size or offset needs it.
+class ZipWriter {
+  constructor(sink) {
+    this.sink = sink
+    this.offset = 0
+    this.entries = []
+    this.encoder = new TextEncoder()
+  }
+
+  async write(bytes) {
+    await this.sink.write(bytes)
+    this.offset += bytes.length
+  }
+
+  // data: async iterable of Uint8Array; expectedSize decides up front whether ZIP64 is needed
+  async addEntry(name, data, { expectedSize = 0, lastModified } = {}) {
+    const nameBytes = this.encoder.encode(name)
+    const { time, date } = toDosDateTime(lastModified)
+    const zip64 = expectedSize >= UINT32_MAX
+    const headerOffset = this.offset
+
+    await this.write(buildRecord([
+      [4, 0x04034b50],
+      [2, zip64 ? VERSION_ZIP64 : VERSION_DEFAULT],
+      [2, GENERAL_PURPOSE_FLAGS],
+      [2, 0],
+      [2, time],
+      [2, date],
+      [4, 0],
+      [4, zip64 ? UINT32_MAX : 0],
+      [4, zip64 ? UINT32_MAX : 0],
+      [2, nameBytes.length],
+      [2, zip64 ? 20 : 0],
+      ['bytes', nameBytes],
+      ...(zip64 ? [[2, 0x0001], [2, 16], [8, 0], [8, 0]] : [])
+    ]))
+
+    let crc = 0
+    let size = 0
+    for await (const chunk of data) {
+      crc = updateCrc32(crc, chunk)
+      size += chunk.length
+      await this.write(chunk)
+    }
+
+    if (!zip64 && size >= UINT32_MAX) {
+      throw new Error(`${name} is larger than its listed size`)
+    }
+
+    await this.write(buildRecord([
+      [4, 0x08074b50],
+      [4, crc],
+      [zip64 ? 8 : 4, size],
+      [zip64 ? 8 : 4, size]
+    ]))
+
+    this.entries.push({ nameBytes, time, date, crc, size, headerOffset, zip64 })
+  }
+
+  async finish() {
+    const centralOffset = this.offset
+
+    for (const entry of this.entries) {
+      const largeSize = entry.zip64
+      const largeOffset = entry.headerOffset >= UINT32_MAX
+      const extra = [
+        ...(largeSize ? [[8, entry.size], [8, entry.size]] : []),
+        ...(largeOffset ? [[8, entry.headerOffset]] : [])
+      ]
+      const extraLength = extra.length * 8
+
+      await this.write(buildRecord([
+        [4, 0x02014b50],
+        [2, VERSION_ZIP64],
+        [2, largeSize || largeOffset ? VERSION_ZIP64 : VERSION_DEFAULT],
+        [2, GENERAL_PURPOSE_FLAGS],
+        [2, 0],
+        [2, entry.time],
+        [2, entry.date],
+        [4, entry.crc],
+        [4, largeSize ? UINT32_MAX : entry.size],
+        [4, largeSize ? UINT32_MAX : entry.size],
+        [2, entry.nameBytes.length],
+        [2, extraLength ? extraLength + 4 : 0],
+        [2, 0],
+        [2, 0],
+        [2, 0],
+        [4, 0],
+        [4, largeOffset ? UINT32_MAX : entry.headerOffset],
+        ['bytes', entry.nameBytes],
+        ...(extraLength ? [[2, 0x0001], [2, extraLength], ...extra] : [])
+      ]))
+    }
+
+    const centralSize = this.offset - centralOffset
+    const count = this.entries.length
+    const needsZip64 = count >= UINT16_MAX || centralOffset >= UINT32_MAX || centralSize >= UINT32_MAX
+
+    if (needsZip64) {
+      const zip64EndOffset = this.offset
+      await this.write(buildRecord([
+        [4, 0x06064b50],
+        [8, 44],
+        [2, VERSION_ZIP64],
+        [2, VERSION_ZIP64],
+        [4, 0],
+        [4, 0],
+        [8, count],
+        [8, count],
+        [8, centralSize],
+        [8, centralOffset]
+      ]))
+      await this.write(buildRecord([
+        [4, 0x07064b50],
+        [4, 0],
+        [8, zip64EndOffset],
+        [4, 1]
+      ]))
+    }
+
+    await this.write(buildRecord([
+      [4, 0x06054b50],
+      [2, 0],
+      [2, 0],
+      [2, needsZip64 ? UINT16_MAX : count],
+      [2, needsZip64 ? UINT16_MAX : count],
+      [4, needsZip64 ? UINT32_MAX : centralSize],
+      [4, needsZip64 ? UINT32_MAX : centralOffset],
+      [2, 0]
+    ]))
+  }
+}
+
+// Turn a web ReadableStream into an async iterable (not every browser supports for await on streams)
+async function* readStream(body) {
+  const reader = body.getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) return
+      yield value
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+class ZipService {
+  // Expand files and folders into [{ key, path, size, lastModified }] with paths relative to basePath
+  async planArchive(items, basePath = '', { signal, service = s3Service } = {}) {
+    const prefix = basePath ? `${basePath.replace(/\/+$/, '')}/` : ''
+    const toPath = (key) => (key.startsWith(prefix) ? key.slice(prefix.length) : key)
+    const entries = []
+
+    for (const item of items) {
+      if (item.isFolder) {
+        const objects = await service.listAllObjects(`${item.key}/`, { signal })
+        objects
+          // Zero-byte "folder/" markers have no content to archive
+          .filter(obj => !obj.key.endsWith('/'))
+          .forEach(obj => entries.push({ key: obj.key, path: toPath(obj.key), size: obj.size, lastModified: obj.lastModified }))
+      } else {
+        entries.push({ key: item.key, path: toPath(item.key), size: item.size || 0, lastModified: item.lastModified })
+      }
+    }
+
+    return entries
+  }
+
+  // Stream the given files and folders into a ZIP archive. With a FileSystemFileHandle the
+  // archive goes straight to disk; otherwise it is collected in memory and saved as a Blob.
+  // Objects are fetched one at a time; objects that can't be read are skipped and reported.
+  async downloadAsZip(items, { basePath = '', handle = null, archiveName = 'download.zip', signal, onProgress, service = s3Service } = {}) {
+    const entries = await this.planArchive(items, basePath, { signal, service })
+    const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0)
+
+    if (!handle && totalBytes > MAX_IN_MEMORY_ZIP_BYTES) {
+      throw new Error('This selection is too large to zip in memory. Use a browser that can save directly to disk.')
+    }
+
+    const writable = handle ? await handle.createWritable() : null
+    const blobParts = []
+    const writer = new ZipWriter({
+      write: (bytes) => (writable ? writable.write(bytes) : blobParts.push(bytes))
+    })
+
+    const report = { total: entries.length, succeeded: [], failed: [], notAttempted: [], cancelled: false }
+    let bytesDone = 0
+    let lastReportedAt = 0
+
+    try {
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i]
+
+        if (signal?.aborted) break
+
+        onProgress?.({ completed: i, total: entries.length, currentKey: entry.key, bytesDone, totalBytes })
+
+        let object
+        try {
+          object = await service.getObjectStream(entry.key, { signal })
+        } catch (error) {
+          if (signal?.aborted) break
+          report.failed.push({ key: entry.key, error: error.message })
+          continue
+        }
+
+        // Once bytes are written a failure leaves a broken entry, so it ends the archive
+        await writer.addEntry(entry.path, (async function* () {
+          for await (const chunk of readStream(object.body)) {
+            bytesDone += chunk.length
+            if (Date.now() - lastReportedAt > PROGRESS_INTERVAL_MS) {
+              lastReportedAt = Date.now()
+              onProgress?.({ completed: i, total: entries.length, currentKey: entry.key, bytesDone, totalBytes })
+            }
+            yield chunk
+          }
+        })(), { expectedSize: entry.size, lastModified: entry.lastModified })
+
+        report.succeeded.push(entry.key)
+      }
+
+      if (signal?.aborted) {
+        throw new Error('Archive cancelled')
+      }
+
+      await writer.finish()
+      onProgress?.({ completed: entries.length, total: entries.length, bytesDone, totalBytes })
+    } catch (error) {
+      if (writable) {
+        await writable.abort().catch(() => {})
+        await handle.remove?.().catch(() => {})
+      }
+      // A partial archive is discarded, so nothing counts as done
+      if (signal?.aborted) {
+        const failedKeys = new Set(report.failed.map(failure => failure.key))
+        return {
+          ...report,
+          succeeded: [],
+          notAttempted: entries.map(e => e.key).filter(key => !failedKeys.has(key)),
+          cancelled: true
+        }
+      }
+      throw new Error(`Failed to build archive: ${error.message}`)
+    }
+
+    if (writable) {
+      await writable.close()
+    } else {
+      const url = URL.createObjectURL(new Blob(blobParts, { type: 'application/zip' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = archiveName
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+    }
+
+    return report
+  }
+}
+
+export default new ZipService()